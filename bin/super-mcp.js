@@ -8,6 +8,7 @@ import { testCommand } from '../src/commands/test.js';
 import { addToClaudeCommand } from '../src/commands/add-to-claude.js';
 import { exportArchestraCommand } from '../src/commands/export-archestra.js';
 import { addSourcesCommand } from '../src/commands/add-sources.js';
+import { removeSourceCommand } from '../src/commands/remove-source.js';
 
 program
   .name('super-mcp')
@@ -22,25 +23,97 @@ program
   .option('-l, --lang <lang>', 'Language: typescript | python', 'typescript')
   .option('-o, --output <dir>', 'Output directory', process.cwd())
   .option('-p, --preset <preset>', 'Preset: archestra | claude-desktop', 'default')
+  .option('--transport <type>', 'Server transport: stdio | http (Streamable HTTP + legacy SSE) | sse', 'stdio')
+  .option('--port <num>', 'Port for the http/sse transport', '3000')
+  .option('--no-llm', 'Retrieval-only server: no LLM needed; ask_docs returns ranked excerpts (LLM_MODE=none)')
   .option('--openapi <path>', 'OpenAPI/Swagger schema (URL or file path)', (v, p) => (p || []).concat(v), [])
-  .option('--graphql <path>', 'GraphQL schema (URL or file path)', (v, p) => (p || []).concat(v), [])
+  .option('--graphql <path>', 'GraphQL SDL/introspection JSON (URL or file path), or endpoint URL to introspect', (v, p) => (p || []).concat(v), [])
   .option('--codebase <path>', 'Local codebase directory to index', (v, p) => (p || []).concat(v), [])
+  .option('--docs-dir <path>', 'Local Markdown/MDX/reStructuredText/AsciiDoc docs folder', (v, p) => (p || []).concat(v), [])
+  .option('--pdf <path>', 'PDF manual to extract (file path or URL)', (v, p) => (p || []).concat(v), [])
+  .option('--html-archive <path>', 'Offline HTML docs export (.zip or directory)', (v, p) => (p || []).concat(v), [])
+  .option('--docs-base-url <url>', 'Published site URL that --docs-dir / --html-archive pages map to')
+  .option('--openapi-tools', 'Generate one callable MCP tool per OpenAPI operation')
+  .option('--executable', 'Generate callable MCP tools for GraphQL Query/Mutation fields')
+  .option('--graphql-endpoint <url>', 'GraphQL endpoint the executable tools post to')
+  .option('--graphql-depth <num>', 'Selection set depth for executable GraphQL tools', '2')
+  .option('--allow-mutations <fields>', 'Comma-separated GraphQL mutations to expose as tools ("*" for all)')
   .option('--auth-header <header>', 'Auth header for private docs (e.g. "Bearer token")')
   .option('--cookies <cookies>', 'Cookie header for private docs')
+  .option('--auth-header-env <var>', 'Read the auth header from this environment variable (recorded for refresh)')
+  .option('--cookies-env <var>', 'Read the cookie header from this environment variable (recorded for refresh)')
+  .option('--credentials <file>', 'Per-host credentials file (JSON/YAML): headers, cookies, form login, OAuth client credentials')
+  .option('--user-agent <ua>', 'User-Agent sent while crawling (default: Super-MCP-Bot/1.0)')
+  .option('--rate-limit <rps>', 'Maximum requests per second per host (default: 2; robots.txt Crawl-delay can lower it)')
+  .option('--max-retries <num>', 'Retries for 429/5xx responses, honoring Retry-After (default: 3)')
+  .option('--no-robots', 'Ignore robots.txt')
+  .option('--include <glob>', 'Only crawl URLs matching this glob (repeatable; overrides built-in excludes)', (v, p) => (p || []).concat(v), [])
+  .option('--exclude <glob>', 'Never crawl URLs matching this glob (repeatable)', (v, p) => (p || []).concat(v), [])
+  .option('--content-selector <css>', 'CSS selector for the main content, tried before the defaults (repeatable)', (v, p) => (p || []).concat(v), [])
+  .option('--remove-selector <css>', 'CSS selector to strip from pages before conversion (repeatable)', (v, p) => (p || []).concat(v), [])
+  .option('--render <mode>', 'Headless browser rendering: never | auto (client-rendered pages) | always (needs playwright)')
+  .option('--render-wait-for <css>', 'CSS selector to wait for before reading a rendered page')
+  .option('--dry-run', 'List the URLs that would be crawled without generating anything')
+  .option('--verbose', 'Print each crawled URL and its outcome as the crawl runs')
+  .option('--resume', 'Continue an interrupted crawl from its checkpoint')
   .option('--no-docker', 'Skip Docker file generation')
   .option('--max-pages <num>', 'Maximum pages to scrape per URL', '200')
+  .option('--max-files <num>', 'Maximum source files to index per codebase', '500')
+  .option('--chunk-tokens <num>', 'Token budget per context chunk', '500')
+  .option('--embeddings <provider>', 'Compute chunk embeddings: auto | local | ollama | openai')
+  .option('--embedding-model <model>', 'Embedding model (e.g. nomic-embed-text)')
   .action(createCommand);
 
 program
   .command('refresh [directory]')
   .description('Refresh documentation for an existing MCP server')
+  .option('--max-pages <num>', 'Maximum pages to re-crawl per URL source for this run (not saved)')
+  .option('--verbose', 'Print each crawled URL and its outcome as the crawl runs')
+  .option('--resume', 'Continue an interrupted crawl from its checkpoint')
+  .option('--auth-header <header>', 'Auth header for private docs (e.g. "Bearer token")')
+  .option('--cookies <cookies>', 'Cookie header for private docs')
   .action(refreshCommand);
 
 program
   .command('add-sources [directory]')
   .description('Add more URLs, OpenAPI, GraphQL, or codebase to existing server')
+  .option('-u, --url <url...>', 'Documentation URL (repeat for multiple: -u url1 -u url2)')
+  .option('--openapi <path>', 'OpenAPI/Swagger schema (URL or file path)', (v, p) => (p || []).concat(v), [])
+  .option('--graphql <path>', 'GraphQL SDL/introspection JSON (URL or file path), or endpoint URL to introspect', (v, p) => (p || []).concat(v), [])
+  .option('--codebase <path>', 'Local codebase directory to index', (v, p) => (p || []).concat(v), [])
+  .option('--docs-dir <path>', 'Local Markdown/MDX/reStructuredText/AsciiDoc docs folder', (v, p) => (p || []).concat(v), [])
+  .option('--pdf <path>', 'PDF manual to extract (file path or URL)', (v, p) => (p || []).concat(v), [])
+  .option('--html-archive <path>', 'Offline HTML docs export (.zip or directory)', (v, p) => (p || []).concat(v), [])
+  .option('--docs-base-url <url>', 'Published site URL that --docs-dir / --html-archive pages map to')
+  .option('--openapi-tools', 'Generate one callable MCP tool per OpenAPI operation')
+  .option('--executable', 'Generate callable MCP tools for GraphQL Query/Mutation fields')
+  .option('--graphql-endpoint <url>', 'GraphQL endpoint the executable tools post to')
+  .option('--graphql-depth <num>', 'Selection set depth for executable GraphQL tools', '2')
+  .option('--allow-mutations <fields>', 'Comma-separated GraphQL mutations to expose as tools ("*" for all)')
+  .option('--auth-header <header>', 'Auth header for private docs (e.g. "Bearer token")')
+  .option('--cookies <cookies>', 'Cookie header for private docs')
+  .option('--auth-header-env <var>', 'Read the auth header from this environment variable (recorded for refresh)')
+  .option('--cookies-env <var>', 'Read the cookie header from this environment variable (recorded for refresh)')
+  .option('--credentials <file>', 'Per-host credentials file (JSON/YAML): headers, cookies, form login, OAuth client credentials')
+  .option('--user-agent <ua>', 'User-Agent sent while crawling (default: Super-MCP-Bot/1.0)')
+  .option('--rate-limit <rps>', 'Maximum requests per second per host (default: 2; robots.txt Crawl-delay can lower it)')
+  .option('--max-retries <num>', 'Retries for 429/5xx responses, honoring Retry-After (default: 3)')
+  .option('--no-robots', 'Ignore robots.txt')
+  .option('--include <glob>', 'Only crawl URLs matching this glob (repeatable; overrides built-in excludes)', (v, p) => (p || []).concat(v), [])
+  .option('--exclude <glob>', 'Never crawl URLs matching this glob (repeatable)', (v, p) => (p || []).concat(v), [])
+  .option('--content-selector <css>', 'CSS selector for the main content, tried before the defaults (repeatable)', (v, p) => (p || []).concat(v), [])
+  .option('--remove-selector <css>', 'CSS selector to strip from pages before conversion (repeatable)', (v, p) => (p || []).concat(v), [])
+  .option('--render <mode>', 'Headless browser rendering: never | auto (client-rendered pages) | always (needs playwright)')
+  .option('--render-wait-for <css>', 'CSS selector to wait for before reading a rendered page')
+  .option('--max-pages <num>', 'Maximum pages to scrape per URL', '50')
+  .option('--max-files <num>', 'Maximum source files to index per codebase', '500')
   .action(addSourcesCommand);
 
+program
+  .command('remove-source <source> [directory]')
+  .description('Remove all pages from a source (id or location from super-mcp.json)')
+  .action(removeSourceCommand);
+
 program
   .command('list')
   .description('List generated MCP servers in current directory')
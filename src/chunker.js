@@ -0,0 +1,189 @@
+/**
+ * Markdown chunker
+ *
+ * Splits loaded pages into heading-scoped sections within a token budget so
+ * generated servers retrieve and cite sections instead of whole pages.
+ */
+
+export const DEFAULT_CHUNK_TOKENS = 500;
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * GitHub-style heading anchor
+ */
+export function slugifyHeading(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[`*_[\]()]/g, '')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Split markdown into sections at headings, ignoring headings inside code fences.
+ */
+function splitSections(markdown) {
+  const sections = [];
+  const stack = [];
+  let current = { headings: [], lines: [] };
+  let inFence = false;
+
+  for (const line of String(markdown || '').split('\n')) {
+    if (FENCE.test(line)) inFence = !inFence;
+
+    const match = !inFence && line.match(HEADING);
+    if (match) {
+      if (current.lines.some((l) => l.trim())) sections.push(current);
+      const level = match[1].length;
+      while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+      stack.push({ level, text: match[2].trim() });
+      current = { headings: stack.map((h) => h.text), lines: [line] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  if (current.lines.some((l) => l.trim())) sections.push(current);
+
+  return sections;
+}
+
+/**
+ * Split a section into blocks (paragraphs / whole code fences) and
+ * pack them into pieces under the budget. A single oversized block is split by lines.
+ */
+function packSection(lines, maxTokens) {
+  const blocks = [];
+  let block = [];
+  let inFence = false;
+
+  for (const line of lines) {
+    if (FENCE.test(line)) inFence = !inFence;
+    if (!inFence && !line.trim() && block.length) {
+      blocks.push(block.join('\n'));
+      block = [];
+    } else if (line.trim() || block.length) {
+      block.push(line);
+    }
+  }
+  if (block.length) blocks.push(block.join('\n'));
+
+  const pieces = [];
+  let current = '';
+  const flush = () => {
+    if (current.trim()) pieces.push(current);
+    current = '';
+  };
+
+  for (const b of blocks) {
+    if (estimateTokens(b) > maxTokens) {
+      flush();
+      for (const line of b.split('\n').flatMap((l) => splitLine(l, maxTokens))) {
+        if (current && estimateTokens(current + '\n' + line) > maxTokens) flush();
+        current += (current ? '\n' : '') + line;
+      }
+      flush();
+      continue;
+    }
+    if (current && estimateTokens(current + '\n\n' + b) > maxTokens) flush();
+    current += (current ? '\n\n' : '') + b;
+  }
+  flush();
+
+  return pieces;
+}
+
+function splitLine(line, maxTokens) {
+  if (estimateTokens(line) <= maxTokens) return [line];
+  const parts = [];
+  let current = '';
+  for (const word of line.split(' ')) {
+    if (current && estimateTokens(current + ' ' + word) > maxTokens) {
+      parts.push(current);
+      current = '';
+    }
+    current += (current ? ' ' : '') + word;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+function anchorUrl(url, headings, source) {
+  if (!headings.length || !(/^https?:/.test(url) || source === 'docs-dir')) return url;
+  // PDF page links (#page=N) are more useful than heading anchors
+  if (source === 'pdf') return url;
+  return `${url.split('#')[0]}#${slugifyHeading(headings[headings.length - 1])}`;
+}
+
+export function chunkPage(page, pageIndex, options = {}) {
+  const maxTokens = options.maxTokens || DEFAULT_CHUNK_TOKENS;
+  const chunks = [];
+
+  for (const section of splitSections(page.content)) {
+    for (const content of packSection(section.lines, maxTokens)) {
+      chunks.push({
+        id: `p${pageIndex}-c${chunks.length}`,
+        pageUrl: page.url,
+        url: anchorUrl(page.url, section.headings, page.source),
+        title: page.title,
+        section: section.headings[section.headings.length - 1] || page.title,
+        headings: section.headings,
+        content,
+        wordCount: content.split(/\s+/).filter(Boolean).length,
+        source: page.source,
+      });
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Chunk every page of docsData. Pages keep their metadata but drop content,
+ * which now lives in `chunks` (restorePages() reassembles it).
+ */
+export function chunkDocs(docsData, options = {}) {
+  const pages = restorePages(docsData);
+  const chunks = [];
+  const pageMeta = pages.map((page, i) => {
+    chunks.push(...chunkPage(page, i, options));
+    const { content, ...meta } = page;
+    return meta;
+  });
+
+  return {
+    ...docsData,
+    pageCount: pageMeta.length,
+    chunkCount: chunks.length,
+    pages: pageMeta,
+    chunks,
+    chunkTokens: options.maxTokens || DEFAULT_CHUNK_TOKENS,
+  };
+}
+
+/**
+ * Full pages (with content) from either raw or chunked docsData.
+ */
+export function restorePages(docsData) {
+  const pages = docsData?.pages || [];
+  if (!docsData?.chunks) return pages;
+
+  const byPage = new Map();
+  for (const chunk of docsData.chunks) {
+    const match = chunk.id.match(/^p(\d+)-/);
+    const idx = match ? Number(match[1]) : -1;
+    if (!byPage.has(idx)) byPage.set(idx, []);
+    byPage.get(idx).push(chunk.content);
+  }
+
+  return pages.map((page, i) => ({
+    ...page,
+    content: (byPage.get(i) || []).join('\n\n'),
+  }));
+}
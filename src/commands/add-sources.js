@@ -1,16 +1,23 @@
 /**
- * Add-sources command - Add more URLs, OpenAPI, GraphQL, or codebase to existing MCP server
+ * Add-sources command - Add more URLs, OpenAPI, GraphQL, codebase, docs folders, PDFs or HTML archives to existing MCP server
+ * Non-interactive when any source flag is given (--url, --openapi, --graphql, --codebase,
+ * --docs-dir, --pdf, --html-archive)
  */
 
 import inquirer from 'inquirer';
 import ora from 'ora';
 import chalk from 'chalk';
-import path from 'path';
-import fs from 'fs-extra';
-import { DocumentationScraper } from '../scraper.js';
-import { loadOpenAPI } from '../loaders/openapi.js';
-import { loadGraphQL } from '../loaders/graphql.js';
-import { loadCodebase } from '../loaders/codebase.js';
+import { readContext, saveContext, updateApiTools } from '../context-store.js';
+import {
+  authEntryOptions,
+  crawlEntryOptions,
+  createSourceEntry,
+  graphqlEntryOptions,
+  loadSource,
+  manifestFor,
+  upsertSource,
+  writeManifest,
+} from '../manifest.js';
 
 function mergePages(existing, incoming) {
   const seen = new Set(existing.map((p) => p.url + '|' + p.title));
@@ -25,19 +32,20 @@ function mergePages(existing, incoming) {
   return merged;
 }
 
-export async function addSourcesCommand(directory) {
-  const dir = directory || process.cwd();
-
-  const metaPath = path.join(dir, 'context', 'metadata.json');
-  const docsPath = path.join(dir, 'context', 'docs.json');
-  const meta = await fs.readJson(metaPath).catch(() => null);
-  const docsData = await fs.readJson(docsPath).catch(() => null);
-
-  if (!meta || !docsData) {
-    console.log(chalk.red('Not a Super MCP project. Run from project directory.'));
-    process.exit(1);
-  }
+function requestsFromFlags(options) {
+  const toList = (v) => (v ? (Array.isArray(v) ? v : [v]) : []);
+  return [
+    ...toList(options.url).map((location) => ({ type: 'url', location })),
+    ...toList(options.openapi).map((location) => ({ type: 'openapi', location })),
+    ...toList(options.graphql).map((location) => ({ type: 'graphql', location })),
+    ...toList(options.codebase).map((location) => ({ type: 'codebase', location })),
+    ...toList(options.docsDir).map((location) => ({ type: 'docs-dir', location })),
+    ...toList(options.pdf).map((location) => ({ type: 'pdf', location })),
+    ...toList(options.htmlArchive).map((location) => ({ type: 'html-archive', location })),
+  ];
+}
 
+async function promptRequests() {
   const answers = await inquirer.prompt([
     {
       type: 'list',
@@ -48,6 +56,9 @@ export async function addSourcesCommand(directory) {
         { name: 'OpenAPI/Swagger schema (URL or path)', value: 'openapi' },
         { name: 'GraphQL schema (URL or path)', value: 'graphql' },
         { name: 'Local codebase (directory path)', value: 'codebase' },
+        { name: 'Local docs folder (Markdown/MDX/rST/AsciiDoc)', value: 'docs-dir' },
+        { name: 'PDF manual (URL or path)', value: 'pdf' },
+        { name: 'Offline HTML export (.zip or directory)', value: 'html-archive' },
       ],
     },
     {
@@ -57,8 +68,11 @@ export async function addSourcesCommand(directory) {
         switch (a.sourceType) {
           case 'url': return 'Enter URL(s), comma-separated:';
           case 'openapi': return 'OpenAPI URL or file path:';
-          case 'graphql': return 'GraphQL schema URL or file path:';
+          case 'graphql': return 'GraphQL schema/introspection file, or endpoint URL:';
           case 'codebase': return 'Directory path to index:';
+          case 'docs-dir': return 'Docs folder path:';
+          case 'pdf': return 'PDF URL or file path:';
+          case 'html-archive': return 'Zip file or directory of HTML pages:';
           default: return 'Source:';
         }
       },
@@ -66,47 +80,75 @@ export async function addSourcesCommand(directory) {
     },
   ]);
 
+  const locations = answers.sourceType === 'url'
+    ? answers.source.split(',').map((u) => u.trim()).filter(Boolean)
+    : [answers.source.trim()];
+  return locations.map((location) => ({ type: answers.sourceType, location }));
+}
+
+export async function addSourcesCommand(directory, options = {}) {
+  const dir = directory || process.cwd();
+
+  const context = await readContext(dir);
+
+  if (!context) {
+    console.log(chalk.red('Not a Super MCP project. Run from project directory.'));
+    process.exit(1);
+  }
+
+  let requests = requestsFromFlags(options);
+  if (requests.length === 0) {
+    requests = await promptRequests();
+  }
+
+  const { authHeader, cookies } = options;
+  const entryOptions = {
+    url: {
+      maxPages: parseInt(options.maxPages, 10) || 50,
+      ...authEntryOptions(options),
+      ...crawlEntryOptions(options),
+    },
+    openapi: { tools: options.openapiTools || undefined },
+    graphql: graphqlEntryOptions(options),
+    codebase: { maxFiles: parseInt(options.maxFiles, 10) || 500 },
+    'docs-dir': { baseUrl: options.docsBaseUrl },
+    pdf: authEntryOptions(options),
+    'html-archive': { baseUrl: options.docsBaseUrl },
+  };
+
   const spinner = ora('Loading source...').start();
 
   try {
     let newPages = [];
+    const manifest = await manifestFor(dir, context);
 
-    if (answers.sourceType === 'url') {
-      const urls = answers.source.split(',').map((u) => u.trim()).filter(Boolean);
-      const scraper = new DocumentationScraper({ maxPages: 50 });
-      for (const u of urls) {
-        const data = await scraper.scrape(u);
-        newPages = mergePages(newPages, data.pages || []);
-      }
-    } else if (answers.sourceType === 'openapi') {
-      const data = await loadOpenAPI(answers.source.trim());
-      newPages = data.pages || [];
-    } else if (answers.sourceType === 'graphql') {
-      const data = await loadGraphQL(answers.source.trim());
-      newPages = data.pages || [];
-    } else if (answers.sourceType === 'codebase') {
-      const data = await loadCodebase(answers.source.trim(), { maxFiles: 50 });
-      newPages = data.pages || [];
+    const replaced = new Set();
+    const apiTools = [];
+    for (const { type, location } of requests) {
+      spinner.text = `Loading ${type}: ${location}`;
+      const entry = createSourceEntry(type, location, entryOptions[type]);
+      const { data } = await loadSource(entry, { authHeader, cookies });
+      newPages = mergePages(newPages, data.pages || []);
+      if (entry.options.tools && data.api) apiTools.push(data.api);
+      upsertSource(manifest, entry);
+      replaced.add(entry.id);
     }
 
-    const mergedPages = mergePages(docsData.pages || [], newPages);
-    const updated = {
-      ...docsData,
+    // Re-adding a known source replaces its pages
+    const kept = context.pages.filter((p) => !replaced.has(p.sourceId));
+    const mergedPages = mergePages(kept, newPages);
+    const updated = await saveContext(dir, {
+      ...context.docsData,
       pageCount: mergedPages.length,
       pages: mergedPages,
       scrapedAt: new Date().toISOString(),
-      sources: [...(docsData.sources || []), answers.sourceType],
-    };
-
-    await fs.writeJson(docsPath, updated, { spaces: 2 });
-    await fs.writeJson(metaPath, {
-      ...meta,
-      generatedAt: new Date().toISOString(),
-      pageCount: mergedPages.length,
+      sources: [...(context.docsData.sources || []), ...requests.map((r) => r.type)],
       totalWords: mergedPages.reduce((s, p) => s + (p.wordCount || 0), 0),
-    }, { spaces: 2 });
+    }, context);
+    await writeManifest(dir, manifest);
+    await updateApiTools(dir, apiTools, [...replaced]);
 
-    spinner.succeed(`Added ${newPages.length} pages. Total: ${mergedPages.length}`);
+    spinner.succeed(`Added ${newPages.length} pages. Total: ${updated.pageCount} (${updated.chunkCount} chunks)`);
     console.log(chalk.green('\nRestart the MCP server to use the new context.\n'));
   } catch (error) {
     spinner.fail(`Failed: ${error.message}`);
@@ -1,6 +1,7 @@
 /**
  * Create command - Generate a new MCP server from documentation
- * Supports: multi-URL, OpenAPI, GraphQL, codebase, private docs (auth)
+ * Supports: multi-URL, OpenAPI, GraphQL, codebase, local docs folders, PDFs,
+ * offline HTML archives, private docs (auth)
  */
 
 import inquirer from 'inquirer';
@@ -8,12 +9,23 @@ import ora from 'ora';
 import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs-extra';
-import { DocumentationScraper } from '../scraper.js';
+import { formatOutcome, summarizeReport } from '../crawl-report.js';
 import { LLMDetector } from '../llm-detector.js';
-import { MCPGenerator } from '../generator.js';
-import { loadOpenAPI } from '../loaders/openapi.js';
-import { loadGraphQL } from '../loaders/graphql.js';
-import { loadCodebase } from '../loaders/codebase.js';
+import { DEFAULT_PORT, MCPGenerator, TRANSPORTS, transportPath } from '../generator.js';
+import { EmbeddingGenerator, resolveEmbeddingConfig } from '../embeddings.js';
+import { chunkDocs } from '../chunker.js';
+import { CHECKPOINT_DIR } from '../crawl-checkpoint.js';
+import {
+  authEntryOptions,
+  crawlEntryOptions,
+  createManifest,
+  createScraper,
+  createSourceEntry,
+  graphqlEntryOptions,
+  loadSource,
+  upsertSource,
+  writeManifest,
+} from '../manifest.js';
 
 function mergeDocsData(sources) {
   const seen = new Set();
@@ -38,11 +50,59 @@ function mergeDocsData(sources) {
   };
 }
 
+/**
+ * Per-source crawl summary, with the first few failures spelled out
+ * (the full list is in context/crawl-report.json)
+ */
+export function printCrawlReports(reports) {
+  for (const report of reports) {
+    console.log(chalk.gray(`  ${report.startUrl}: ${summarizeReport(report)}`));
+    const failed = report.outcomes.filter((o) => o.status === 'failed');
+    for (const outcome of failed.slice(0, 5)) {
+      console.log(chalk.yellow(`    ${outcome.reason} ${outcome.url}`));
+    }
+    if (failed.length > 5) console.log(chalk.yellow(`    ... and ${failed.length - 5} more`));
+  }
+}
+
+/**
+ * --dry-run: list the pages each URL source would crawl, and how many
+ * same-site links the include/exclude rules and robots.txt filter out
+ */
+async function printCrawlPlan(entries, runtime) {
+  const urlEntries = entries.filter((e) => e.type === 'url');
+  if (urlEntries.length === 0) {
+    console.log(chalk.yellow('Nothing to preview: --dry-run applies to documentation URLs.'));
+    return;
+  }
+
+  for (const entry of urlEntries) {
+    const spinner = ora(`Planning crawl of ${entry.location}...`).start();
+    try {
+      const plan = await createScraper(entry, runtime).plan(entry.location);
+      spinner.succeed(`${entry.location}: ${plan.urls.length} page(s) via ${plan.strategy}`);
+      for (const url of plan.urls) console.log(`  ${url}`);
+
+      const reasons = {};
+      for (const reason of plan.skipped.values()) reasons[reason] = (reasons[reason] || 0) + 1;
+      const summary = Object.entries(reasons).map(([reason, n]) => `${n} ${reason}`).join(', ');
+      if (summary) console.log(chalk.gray(`  Skipped: ${summary}`));
+    } catch (error) {
+      spinner.fail(`Failed: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  console.log(chalk.gray('\nDry run: nothing was generated.\n'));
+}
+
 export async function createCommand(options) {
   let { name, url, urls, lang, output, docker, maxPages } = options;
   const openapi = options.openapi;
   const graphql = options.graphql;
   const codebase = options.codebase;
+  const docsDir = options.docsDir;
+  const pdf = options.pdf;
+  const htmlArchive = options.htmlArchive;
   const authHeader = options.authHeader;
   const cookies = options.cookies;
 
@@ -55,7 +115,9 @@ export async function createCommand(options) {
   const hasOpenAPI = !!openapi;
   const hasGraphQL = !!graphql;
   const hasCodebase = !!codebase;
-  const hasAnySource = hasUrls || hasOpenAPI || hasGraphQL || hasCodebase;
+  const hasDocsDir = !!docsDir;
+  const hasOffline = !!pdf || !!htmlArchive;
+  const hasAnySource = hasUrls || hasOpenAPI || hasGraphQL || hasCodebase || hasDocsDir || hasOffline;
 
   // Interactive prompts for missing values
   if (!name || !hasAnySource) {
@@ -100,13 +162,62 @@ export async function createCommand(options) {
   const includeDocker = docker !== false;
   const maxPagesNum = parseInt(maxPages, 10) || 200;
   const preset = options.preset || 'default';
+  const transport = options.transport || 'stdio';
+  const port = parseInt(options.port, 10) || DEFAULT_PORT;
+  if (!TRANSPORTS.includes(transport)) {
+    console.log(chalk.red(`Unknown transport: ${transport} (use ${TRANSPORTS.join(' | ')})`));
+    process.exit(1);
+  }
+
+  const llmMode = options.llm === false ? 'none' : 'llm';
+
+  const manifest = createManifest(name, lang);
+  manifest.server = {
+    transport,
+    port: transport === 'stdio' ? undefined : port,
+    llmMode: llmMode === 'none' ? llmMode : undefined,
+  };
+  const toList = (v) => (v ? (Array.isArray(v) ? v : [v]) : []);
+  const entries = [
+    ...urlList.map((u) =>
+      createSourceEntry('url', u, {
+        maxPages: Math.floor(maxPagesNum / Math.max(urlList.length, 1)),
+        ...authEntryOptions(options),
+        ...crawlEntryOptions(options),
+      })
+    ),
+    ...toList(openapi).map((src) =>
+      createSourceEntry('openapi', src, { tools: options.openapiTools || undefined })
+    ),
+    ...toList(graphql).map((src) =>
+      createSourceEntry('graphql', src, graphqlEntryOptions(options))
+    ),
+    ...toList(codebase).map((src) =>
+      createSourceEntry('codebase', src, { maxFiles: parseInt(options.maxFiles, 10) || 500 })
+    ),
+    ...toList(docsDir).map((src) =>
+      createSourceEntry('docs-dir', src, { baseUrl: options.docsBaseUrl })
+    ),
+    ...toList(pdf).map((src) =>
+      createSourceEntry('pdf', src, authEntryOptions(options))
+    ),
+    ...toList(htmlArchive).map((src) =>
+      createSourceEntry('html-archive', src, { baseUrl: options.docsBaseUrl })
+    ),
+  ];
+
+  if (options.dryRun) {
+    await printCrawlPlan(entries, { authHeader, cookies });
+    return;
+  }
 
   console.log(chalk.blue('\n🚀 Super MCP - Creating your MCP server...\n'));
 
-  // Step 1: Detect LLM
+  // Step 1: Detect LLM (retrieval-only servers skip it and keep the Ollama
+  // defaults so LLM_MODE=llm can be switched on later)
   const llmSpinner = ora('Detecting LLM...').start();
   const llmDetector = new LLMDetector();
-  let llmConfig = await llmDetector.detect();
+  let llmConfig = llmMode === 'none' ? null : await llmDetector.detect();
 
   if (llmConfig) {
     llmSpinner.succeed(`Found: ${llmConfig.name} on ${llmConfig.endpoint}`);
@@ -115,9 +226,14 @@ export async function createCommand(options) {
       model: llmConfig.models?.[0] || 'llama3.2',
       type: llmConfig.type,
       provider: llmConfig.type === 'ollama' ? 'ollama' : 'openai',
+      detected: true,
     };
   } else {
-    llmSpinner.warn('No local LLM. Using Ollama defaults (set API keys for cloud/BYOK).');
+    if (llmMode === 'none') {
+      llmSpinner.info('No LLM (--no-llm): ask_docs and generate_code will return ranked excerpts.');
+    } else {
+      llmSpinner.warn('No local LLM. Using Ollama defaults (set API keys for cloud/BYOK).');
+    }
     llmConfig = {
       endpoint: 'http://localhost:11434/api/generate',
       model: 'llama3.2',
@@ -126,54 +242,40 @@ export async function createCommand(options) {
     };
   }
 
-  // Step 2: Collect content from all sources
+  // Step 2: Collect content from all sources. Crawls checkpoint into the
+  // project directory so `create --resume` can continue after an interruption
+  const projectName = name.endsWith('-mcp') ? name : `${name}-mcp`;
+  const projectDirResolved = path.join(output, projectName);
+  const checkpointDir = path.join(projectDirResolved, CHECKPOINT_DIR);
   const sources = [];
+  const apiTools = [];
+  const crawlReports = [];
   const scrapeSpinner = ora('Loading sources...').start();
+  const onProgress = options.verbose
+    ? (outcome) => {
+        scrapeSpinner.clear();
+        console.log(chalk.gray(`  ${formatOutcome(outcome)}`));
+        scrapeSpinner.render();
+      }
+    : undefined;
 
   try {
-    // URLs (docs)
-    if (urlList.length > 0) {
-      const scraper = new DocumentationScraper({
-        maxPages: Math.floor(maxPagesNum / Math.max(urlList.length, 1)),
-        timeout: 5000,
-        concurrency: 5,
+    for (const entry of entries) {
+      scrapeSpinner.text = `Loading ${entry.type}: ${entry.location}`;
+      const { data, scraper } = await loadSource(entry, {
         authHeader,
         cookies,
+        onProgress,
+        checkpointDir,
+        resume: options.resume,
       });
-      for (const u of urlList) {
-        const data = await scraper.scrape(u);
-        sources.push(data);
-      }
-    }
-
-    // OpenAPI
-    if (openapi) {
-      const list = Array.isArray(openapi) ? openapi : [openapi];
-      for (const src of list) {
-        const data = await loadOpenAPI(src);
-        sources.push(data);
-      }
-    }
-
-    // GraphQL
-    if (graphql) {
-      const list = Array.isArray(graphql) ? graphql : [graphql];
-      for (const src of list) {
-        const data = await loadGraphQL(src);
-        sources.push(data);
-      }
+      sources.push(data);
+      if (entry.options.tools && data.api) apiTools.push(data.api);
+      if (scraper) crawlReports.push({ sourceId: entry.id, ...scraper.report.toJSON() });
+      upsertSource(manifest, entry);
     }
 
-    // Codebase
-    if (codebase) {
-      const list = Array.isArray(codebase) ? codebase : [codebase];
-      for (const src of list) {
-        const data = await loadCodebase(src, { maxFiles: 50 });
-        sources.push(data);
-      }
-    }
-
-    const docsData = sources.length > 0 ? mergeDocsData(sources) : {
+    const loaded = sources.length > 0 ? mergeDocsData(sources) : {
       pageCount: 0,
       pages: [],
       scrapedAt: new Date().toISOString(),
@@ -181,13 +283,35 @@ export async function createCommand(options) {
       sources: [],
     };
 
-    scrapeSpinner.succeed(`Loaded ${docsData.pageCount} pages from ${sources.length} source(s)`);
+    const docsData = chunkDocs(loaded, {
+      maxTokens: parseInt(options.chunkTokens, 10) || undefined,
+    });
+
+    scrapeSpinner.succeed(
+      `Loaded ${docsData.pageCount} pages (${docsData.chunkCount} chunks) from ${sources.length} source(s)`
+    );
+    printCrawlReports(crawlReports);
 
     if (docsData.pageCount === 0) {
       console.log(chalk.yellow('\n⚠ No content found. Creating server with empty context.'));
     }
 
-    // Step 3: Generate code
+    // Step 3: Embeddings (optional)
+    let embeddings = null;
+    if (options.embeddings && docsData.chunkCount > 0) {
+      const embedSpinner = ora('Computing embeddings...').start();
+      const embedder = new EmbeddingGenerator(
+        resolveEmbeddingConfig(options.embeddings, llmConfig, options.embeddingModel)
+      );
+      embeddings = await embedder.embedChunks(docsData.chunks);
+      if (embedder.fallbackReason) {
+        embedSpinner.warn(`Embedding endpoint failed (${embedder.fallbackReason}). Used local embeddings.`);
+      } else {
+        embedSpinner.succeed(`Embedded ${embeddings.vectors.length} chunks (${embeddings.provider}: ${embeddings.model})`);
+      }
+    }
+
+    // Step 4: Generate code
     const genSpinner = ora('Generating MCP server code...').start();
     const generator = new MCPGenerator();
 
@@ -201,12 +325,20 @@ export async function createCommand(options) {
       includeDocker,
       preset,
       hasGenerateCode: true,
+      embeddings,
+      apiTools: apiTools.length > 0 ? apiTools : null,
+      transport,
+      port,
+      llmMode,
     });
+    await writeManifest(projectDir, manifest);
+    if (crawlReports.length > 0) {
+      await generator.writeCrawlReport(projectDir, crawlReports);
+    }
+    await fs.remove(checkpointDir);
     genSpinner.succeed('Code generated');
 
-    // Step 4: Install dependencies (TypeScript only)
-    const projectName = name.endsWith('-mcp') ? name : `${name}-mcp`;
-    const projectDirResolved = path.join(output, projectName);
+    // Step 5: Install dependencies (TypeScript only)
     if (lang === 'typescript') {
       const installSpinner = ora('Installing dependencies...').start();
       try {
@@ -233,12 +365,17 @@ export async function createCommand(options) {
       console.log('  pip install -r requirements.txt');
       console.log('  python server.py');
     }
+    if (transport !== 'stdio') {
+      console.log(chalk.gray(`  # Serves http://localhost:${port}${transportPath(transport)} (health: /health; set MCP_AUTH_TOKEN to require a bearer token)`));
+    }
     if (includeDocker) {
       console.log('\n  Or with Docker:');
       console.log('  docker-compose up');
       console.log('\n  Add to Archestra:');
       console.log(`  super-mcp export-archestra`);
-      console.log(`  docker run --rm -i --network=host ${projectName}:latest`);
+      if (transport === 'stdio') {
+        console.log(`  docker run --rm -i --network=host ${projectName}:latest`);
+      }
     }
     console.log(chalk.cyan('Integrations:'));
     console.log(`  super-mcp add-to-claude    # Add to Claude Desktop`);
@@ -248,6 +385,9 @@ export async function createCommand(options) {
     console.log('');
   } catch (error) {
     scrapeSpinner.fail(`Failed: ${error.message}`);
+    if (await fs.pathExists(checkpointDir)) {
+      console.log(chalk.yellow('Crawl progress was saved. Run the same command with --resume to continue.'));
+    }
     console.error(error);
     process.exit(1);
   }
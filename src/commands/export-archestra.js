@@ -5,6 +5,8 @@
 import fs from 'fs-extra';
 import path from 'path';
 import chalk from 'chalk';
+import { DEFAULT_PORT, archestraManifest } from '../generator.js';
+import { readManifest } from '../manifest.js';
 
 export async function exportArchestraCommand(directory) {
   const dir = directory || process.cwd();
@@ -20,32 +22,10 @@ export async function exportArchestraCommand(directory) {
   const projectName = pkg?.name || path.basename(dir);
   const serverName = projectName.replace(/-mcp$/, '') || projectName;
 
-  const manifest = `# Archestra MCP Manifest - ${serverName}
-# Generated by Super MCP. Import this into Archestra.
-
-name: ${serverName}
-transport: stdio
-command: docker
-args:
-  - run
-  - --rm
-  - -i
-  - --network=host
-  - -e
-  - LLM_PROVIDER=\${LLM_PROVIDER:-ollama}
-  - -e
-  - LLM_MODEL=\${LLM_MODEL:-llama3.2}
-  - -e
-  - OPENAI_API_KEY=\${OPENAI_API_KEY}
-  - -e
-  - ANTHROPIC_API_KEY=\${ANTHROPIC_API_KEY}
-  - -e
-  - GROQ_API_KEY=\${GROQ_API_KEY}
-image: ${projectName}:latest
-
-# Build first: docker build -t ${projectName}:latest .
-# Then add this manifest to Archestra MCP Registry
-`;
+  // Transport and LLM mode chosen at create time (super-mcp.json); older
+  // projects are stdio with an LLM
+  const { transport = 'stdio', port = DEFAULT_PORT, llmMode = 'llm' } = (await readManifest(dir))?.server || {};
+  const manifest = archestraManifest({ serverName, projectName, transport, port, llmMode });
 
   const outPath = path.join(dir, 'archestra-manifest.yaml');
   await fs.writeFile(outPath, manifest);
@@ -54,5 +34,10 @@ image: ${projectName}:latest
   console.log(chalk.gray(outPath));
   console.log(chalk.cyan('\nNext steps:'));
   console.log(`  1. docker build -t ${projectName}:latest .`);
-  console.log(`  2. Import archestra-manifest.yaml into Archestra MCP Registry\n`);
+  if (transport !== 'stdio') {
+    console.log(`  2. docker compose up -d   # serves ${transport.toUpperCase()} on port ${port}`);
+    console.log(`  3. Import archestra-manifest.yaml into Archestra MCP Registry\n`);
+  } else {
+    console.log(`  2. Import archestra-manifest.yaml into Archestra MCP Registry\n`);
+  }
 }
@@ -1,52 +1,163 @@
 /**
- * Refresh command - Refresh documentation for an existing MCP server
+ * Refresh command - Rebuild an existing MCP server's context from its
+ * source manifest (super-mcp.json)
+ *
+ * Web sources are re-fetched incrementally (conditional requests via stored
+ * ETag / Last-Modified, content hashes); OpenAPI, GraphQL and codebase
+ * sources are reloaded. Pages not tracked by the manifest are kept as-is.
+ * Crawls checkpoint into the project so `refresh --resume` can continue an
+ * interrupted refresh.
  */
 
 import ora from 'ora';
 import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs-extra';
-import { DocumentationScraper } from '../scraper.js';
+import { contentHash } from '../scraper.js';
+import { formatOutcome } from '../crawl-report.js';
+import { CHECKPOINT_DIR } from '../crawl-checkpoint.js';
 import { MCPGenerator } from '../generator.js';
+import { readContext, saveContext, updateApiTools } from '../context-store.js';
+import { loadSource, manifestFor, writeManifest } from '../manifest.js';
+import { printCrawlReports } from './create.js';
 
-export async function refreshCommand(directory) {
+function pageKey(entry, page) {
+  // Schema pages share their source URL, so key them by title too
+  return entry.type === 'url' ? page.url : page.url + '|' + page.title;
+}
+
+async function refreshSource(entry, oldPages, options, summary, apiTools, crawlReports) {
+  const isUrl = entry.type === 'url';
+  // --max-pages applies to this run only; the manifest keeps its own limit
+  const maxPages = (isUrl && parseInt(options.maxPages, 10)) || entry.options.maxPages;
+  const runEntry = maxPages === entry.options.maxPages ? entry : { ...entry, options: { ...entry.options, maxPages } };
+  const { data, scraper } = await loadSource(runEntry, {
+    authHeader: options.authHeader,
+    cookies: options.cookies,
+    previousPages: isUrl ? oldPages : undefined,
+    onProgress: options.onProgress,
+    checkpointDir: options.checkpointDir,
+    resume: options.resume,
+  });
+  if (entry.options.tools && data.api) apiTools.push(data.api);
+  if (scraper) crawlReports.push({ sourceId: entry.id, ...scraper.report.toJSON() });
+
+  const fetched = new Map(data.pages.map((p) => [pageKey(entry, p), p]));
+  const complete = !isUrl || data.pageCount < (maxPages || 200);
+  const pages = [];
+
+  for (const page of oldPages) {
+    const key = pageKey(entry, page);
+    const next = fetched.get(key);
+    fetched.delete(key);
+
+    if (next) {
+      const oldHash = page.hash || contentHash(page.content);
+      const newHash = next.hash || contentHash(next.content);
+      (newHash !== oldHash ? summary.changed : summary.unchanged).push(key);
+      pages.push(next);
+    } else if (!isUrl || scraper.notFound.has(page.url) || (complete && !scraper.visited.has(page.url))) {
+      summary.removed.push(key);
+    } else {
+      // Transient failure or crawl limit reached: keep the stored copy
+      pages.push(page);
+    }
+  }
+
+  for (const [key, page] of fetched) {
+    summary.added.push(key);
+    pages.push(page);
+  }
+
+  entry.pageCount = pages.length;
+  return pages;
+}
+
+export async function refreshCommand(directory, options = {}) {
   const dir = directory || process.cwd();
 
   const spinner = ora('Refreshing documentation...').start();
+  const checkpointDir = path.join(dir, CHECKPOINT_DIR);
 
   try {
-    const metadataPath = path.join(dir, 'context', 'metadata.json');
-    const metadata = await fs.readJson(metadataPath).catch(() => null);
+    const context = await readContext(dir);
 
-    if (!metadata) {
+    if (!context) {
       spinner.fail('Not a Super MCP project. Run from project directory or specify path.');
       process.exit(1);
     }
 
-    const docsPath = path.join(dir, 'context', 'docs.json');
-    const docsData = await fs.readJson(docsPath).catch(() => null);
-    const baseUrl = docsData?.baseUrl;
+    const manifest = await manifestFor(dir, context);
 
-    if (!baseUrl) {
-      spinner.fail('No base URL found in docs. Re-run create command.');
-      process.exit(1);
+    if (manifest.sources.length === 0) {
+      spinner.info('No replayable sources in super-mcp.json. Use add-sources to add one.');
+      return;
     }
 
-    const scraper = new DocumentationScraper({ maxPages: 200 });
-    const newDocs = await scraper.scrape(baseUrl);
+    const summary = { added: [], changed: [], removed: [], unchanged: [] };
+    const tracked = new Set(manifest.sources.map((s) => s.id));
+    const pages = context.pages.filter((p) => !tracked.has(p.sourceId));
+    const apiTools = [];
+    const crawlReports = [];
+    const onProgress = options.verbose
+      ? (outcome) => {
+          spinner.clear();
+          console.log(chalk.gray(`  ${formatOutcome(outcome)}`));
+          spinner.render();
+        }
+      : undefined;
+
+    for (const entry of manifest.sources) {
+      spinner.text = `Refreshing ${entry.type}: ${entry.location}`;
+      const oldPages = context.pages.filter((p) => p.sourceId === entry.id);
+      pages.push(
+        ...(await refreshSource(entry, oldPages, { ...options, onProgress, checkpointDir }, summary, apiTools, crawlReports))
+      );
+    }
 
-    await fs.writeJson(docsPath, newDocs, { spaces: 2 });
-    await fs.writeJson(metadataPath, {
-      ...metadata,
-      generatedAt: new Date().toISOString(),
-      pageCount: newDocs.pageCount,
-      totalWords: newDocs.pages?.reduce((s, p) => s + (p.wordCount || 0), 0) || 0,
-    }, { spaces: 2 });
+    const updated = await saveContext(dir, {
+      ...context.docsData,
+      pageCount: pages.length,
+      pages,
+      scrapedAt: new Date().toISOString(),
+      totalWords: pages.reduce((s, p) => s + (p.wordCount || 0), 0),
+    }, context);
+    await writeManifest(dir, manifest);
+    if (apiTools.length > 0) {
+      await updateApiTools(dir, apiTools);
+    }
+    if (crawlReports.length > 0) {
+      await new MCPGenerator().writeCrawlReport(dir, crawlReports);
+    }
+    await fs.remove(checkpointDir);
 
-    spinner.succeed(`Refreshed ${newDocs.pageCount} pages`);
+    spinner.succeed(
+      `Refreshed ${manifest.sources.length} source(s): ${updated.pageCount} pages (${updated.chunkCount} chunks)`
+    );
+    printCrawlReports(crawlReports);
+    printSummary(summary);
     console.log(chalk.green(`\nDocumentation updated in ${dir}\n`));
   } catch (error) {
     spinner.fail(`Refresh failed: ${error.message}`);
+    if (await fs.pathExists(checkpointDir)) {
+      console.log(chalk.yellow('Crawl progress was saved. Run refresh --resume to continue.'));
+    }
     process.exit(1);
   }
 }
+
+function printSummary(summary) {
+  const rows = [
+    ['Added', summary.added, chalk.green],
+    ['Changed', summary.changed, chalk.yellow],
+    ['Removed', summary.removed, chalk.red],
+  ];
+
+  console.log('');
+  for (const [label, keys, color] of rows) {
+    console.log(color(`  ${label}: ${keys.length}`));
+    for (const key of keys.slice(0, 10)) console.log(chalk.gray(`    ${key}`));
+    if (keys.length > 10) console.log(chalk.gray(`    ... and ${keys.length - 10} more`));
+  }
+  console.log(chalk.gray(`  Unchanged: ${summary.unchanged.length}`));
+}
@@ -0,0 +1,58 @@
+/**
+ * Remove-source command - Drop every page that came from one source
+ */
+
+import ora from 'ora';
+import chalk from 'chalk';
+import { readContext, saveContext, updateApiTools } from '../context-store.js';
+import { findSource, manifestFor, writeManifest } from '../manifest.js';
+
+export async function removeSourceCommand(source, directory) {
+  const dir = directory || process.cwd();
+
+  const context = await readContext(dir);
+
+  if (!context) {
+    console.log(chalk.red('Not a Super MCP project. Run from project directory.'));
+    process.exit(1);
+  }
+
+  const manifest = await manifestFor(dir, context);
+  const entry = findSource(manifest, source);
+
+  if (!entry) {
+    console.log(chalk.red(`Source not found: ${source}`));
+    if (manifest.sources.length > 0) {
+      console.log(chalk.cyan('\nKnown sources:'));
+      for (const s of manifest.sources) {
+        console.log(`  ${s.id}` + chalk.gray(` (${s.pageCount} pages)`));
+      }
+    }
+    console.log('');
+    process.exit(1);
+  }
+
+  const spinner = ora(`Removing ${entry.type}: ${entry.location}`).start();
+
+  try {
+    const pages = context.pages.filter((p) => p.sourceId !== entry.id);
+    const removed = context.pages.length - pages.length;
+
+    const updated = await saveContext(dir, {
+      ...context.docsData,
+      pageCount: pages.length,
+      pages,
+      totalWords: pages.reduce((s, p) => s + (p.wordCount || 0), 0),
+    }, context);
+
+    manifest.sources = manifest.sources.filter((s) => s.id !== entry.id);
+    await writeManifest(dir, manifest);
+    await updateApiTools(dir, [], [entry.id]);
+
+    spinner.succeed(`Removed ${removed} pages. Total: ${updated.pageCount} (${updated.chunkCount} chunks)`);
+    console.log(chalk.green('\nRestart the MCP server to use the new context.\n'));
+  } catch (error) {
+    spinner.fail(`Failed: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -5,6 +5,7 @@
 import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs-extra';
+import { readManifest } from '../manifest.js';
 
 export async function testCommand(directory) {
   const dir = directory || process.cwd();
@@ -27,8 +28,13 @@ export async function testCommand(directory) {
   const hasEnv = await fs.pathExists(envPath);
   console.log(hasEnv ? chalk.green('✓ .env found') : chalk.yellow('⚠ No .env (using defaults)'));
 
+  const retrievalOnly = (await readManifest(dir))?.server?.llmMode === 'none';
+  if (retrievalOnly) {
+    console.log(chalk.green('✓ Retrieval-only (LLM_MODE=none): no LLM needed'));
+  }
+
   console.log(chalk.cyan('\nTo fully test:'));
-  console.log('  1. Ensure Ollama/LLM is running');
+  console.log(retrievalOnly ? '  1. (No LLM needed)' : '  1. Ensure Ollama/LLM is running');
   console.log('  2. cd ' + path.basename(dir));
   console.log('  3. npm start (or python server.py)');
   console.log('  4. Connect via Claude Desktop or Archestra\n');
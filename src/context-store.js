@@ -0,0 +1,73 @@
+/**
+ * Context store
+ *
+ * Reads and rewrites the context/ folder of an existing generated server,
+ * re-deriving chunks (and embeddings, when the server was built with them).
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { chunkDocs, restorePages } from './chunker.js';
+import { EmbeddingGenerator } from './embeddings.js';
+import { MCPGenerator } from './generator.js';
+
+export async function readContext(dir) {
+  const contextDir = path.join(dir, 'context');
+  const metadata = await fs.readJson(path.join(contextDir, 'metadata.json')).catch(() => null);
+  const docsData = await fs.readJson(path.join(contextDir, 'docs.json')).catch(() => null);
+  if (!metadata || !docsData) return null;
+
+  return { metadata, docsData, pages: restorePages(docsData) };
+}
+
+/**
+ * Re-chunk docsData (full pages) and write it back, reusing the chunk budget
+ * and embedding provider the server was generated with.
+ */
+export async function saveContext(dir, docsData, previous = {}) {
+  // docsData.pages must carry full content; drop any stale chunks
+  const { chunks, chunkCount, ...raw } = docsData;
+  const chunked = chunkDocs(raw, {
+    maxTokens: previous.docsData?.chunkTokens,
+  });
+
+  let embeddings = null;
+  if (previous.metadata?.embeddings) {
+    const existing = await fs
+      .readJson(path.join(dir, 'context', 'embeddings.json'))
+      .catch(() => null);
+    const embedder = new EmbeddingGenerator(existing || previous.metadata.embeddings);
+    embeddings = await embedder.embedChunks(chunked.chunks);
+  }
+
+  await new MCPGenerator().writeContext(dir, chunked, embeddings);
+  return chunked;
+}
+
+/**
+ * Replace the callable API definitions of the given sources in
+ * context/api-tools.json (apis are tagged with their manifest sourceId).
+ * Reloaded APIs keep their position, so tool names stay stable.
+ */
+export async function updateApiTools(dir, apis, replacedIds = []) {
+  const toolsPath = path.join(dir, 'context', 'api-tools.json');
+  const existing = await fs.readJson(toolsPath).catch(() => ({ apis: [] }));
+  const removed = new Set(replacedIds);
+  const incoming = new Map(apis.map((a) => [a.sourceId, a]));
+  const merged = [];
+  for (const api of existing.apis) {
+    if (incoming.has(api.sourceId)) {
+      merged.push(incoming.get(api.sourceId));
+      incoming.delete(api.sourceId);
+    } else if (!removed.has(api.sourceId)) {
+      merged.push(api);
+    }
+  }
+  merged.push(...incoming.values());
+
+  if (merged.length === 0) {
+    await fs.remove(toolsPath);
+    return;
+  }
+  await new MCPGenerator().writeApiTools(dir, merged);
+}
@@ -0,0 +1,66 @@
+/**
+ * Crawl checkpoints
+ *
+ * Saves a crawl's frontier (queue, visited URLs, outcomes) and the pages
+ * collected so far after every batch, so an interrupted crawl can resume.
+ * Pages are appended to pages.jsonl; state.json is rewritten atomically and
+ * records how many of those pages it covers.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { createHash } from 'crypto';
+
+// Checkpoints live in the project directory until the command succeeds
+export const CHECKPOINT_DIR = '.crawl-cache';
+
+export class CrawlCheckpoint {
+  /**
+   * `key` identifies the crawl (the manifest entry id)
+   */
+  constructor(cacheDir, key) {
+    this.key = key;
+    this.dir = path.join(cacheDir, createHash('sha1').update(key).digest('hex').slice(0, 16));
+    this.statePath = path.join(this.dir, 'state.json');
+    this.pagesPath = path.join(this.dir, 'pages.jsonl');
+    this.savedPages = 0;
+  }
+
+  /**
+   * Saved state with its pages, or null when there is nothing to resume
+   */
+  async load() {
+    const state = await fs.readJson(this.statePath).catch(() => null);
+    if (!state || state.key !== this.key) return null;
+
+    const text = await fs.readFile(this.pagesPath, 'utf-8').catch(() => '');
+    const lines = text.split('\n').filter(Boolean).slice(0, state.pageCount);
+    if (lines.length < state.pageCount) return null;
+
+    // Drop pages appended by a batch whose state was never written
+    await fs.writeFile(this.pagesPath, lines.map((line) => line + '\n').join(''));
+    this.savedPages = lines.length;
+    return { ...state, pages: lines.map((line) => JSON.parse(line)) };
+  }
+
+  /**
+   * Append pages not yet on disk, then write the frontier state
+   */
+  async save(state, pages) {
+    await fs.ensureDir(this.dir);
+    const added = pages.slice(this.savedPages);
+    if (added.length > 0) {
+      await fs.appendFile(this.pagesPath, added.map((page) => JSON.stringify(page) + '\n').join(''));
+      this.savedPages = pages.length;
+    }
+
+    const tmp = this.statePath + '.tmp';
+    await fs.writeJson(tmp, { ...state, key: this.key, pageCount: pages.length });
+    await fs.rename(tmp, this.statePath);
+  }
+
+  async clear() {
+    await fs.remove(this.dir);
+    this.savedPages = 0;
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Crawl report
+ *
+ * Collects the outcome of every URL a crawl touched (fetched, unchanged,
+ * failed, skipped, duplicate) and detects near-duplicate pages with a
+ * 64-bit SimHash over word shingles.
+ */
+
+import { createHash } from 'crypto';
+
+// Pages whose fingerprints differ in at most this many bits are duplicates
+const NEAR_DUPLICATE_BITS = 3;
+
+// Shorter pages are only compared exactly
+const MIN_SHINGLES = 20;
+
+const MASK_64 = (1n << 64n) - 1n;
+
+function shingleHash(shingle) {
+  return createHash('md5').update(shingle).digest().readBigUInt64BE(0);
+}
+
+/**
+ * SimHash of a text's 3-word shingles, or null when the text is too short
+ */
+export function simhash(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length - 2 < MIN_SHINGLES) return null;
+
+  const weights = new Array(64).fill(0);
+  for (let i = 0; i + 2 < words.length; i++) {
+    const hash = shingleHash(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let fingerprint = 0n;
+  weights.forEach((weight, bit) => {
+    if (weight > 0) fingerprint |= 1n << BigInt(bit);
+  });
+  return fingerprint & MASK_64;
+}
+
+function hammingDistance(a, b) {
+  let x = a ^ b;
+  let count = 0;
+  while (x) {
+    x &= x - 1n;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Reason code for a failed request: http-<status>, timeout or network
+ */
+export function failureReason(error) {
+  if (error.response?.status) return `http-${error.response.status}`;
+  if (['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) || /timeout/i.test(error.message)) return 'timeout';
+  return 'network';
+}
+
+export class CrawlReport {
+  constructor(options = {}) {
+    this.onProgress = options.onProgress;
+    this.start(null);
+  }
+
+  start(startUrl, strategy = null) {
+    this.startUrl = startUrl;
+    this.strategy = strategy;
+    this.startedAt = new Date().toISOString();
+    this.finishedAt = null;
+    this.outcomes = new Map(); // url -> outcome
+    this.fingerprints = []; // { url, hash, simhash } of kept pages
+  }
+
+  /**
+   * Record the outcome for a URL. Repeats of the same status (e.g. a link
+   * skipped from many pages) are not re-reported.
+   */
+  record(url, status, details = {}) {
+    if (this.outcomes.get(url)?.status === status) return;
+    const outcome = { url, status, ...details };
+    this.outcomes.set(url, outcome);
+    this.onProgress?.(outcome);
+  }
+
+  /**
+   * URL of an already kept page with the same or nearly the same content,
+   * or null (in which case this page's fingerprint is remembered).
+   */
+  findDuplicate(url, hash, content) {
+    const fingerprint = simhash(content);
+    const match = this.fingerprints.find(
+      (f) =>
+        f.hash === hash ||
+        (fingerprint !== null && f.simhash !== null && hammingDistance(f.simhash, fingerprint) <= NEAR_DUPLICATE_BITS)
+    );
+    if (match) return match.url;
+    this.fingerprints.push({ url, hash, simhash: fingerprint });
+    return null;
+  }
+
+  /**
+   * Continue a checkpointed crawl: restore its outcomes (as saved by
+   * toJSON) and the fingerprints of the pages it kept
+   */
+  resume(saved, pages) {
+    this.strategy = saved.strategy;
+    this.startedAt = saved.startedAt;
+    this.outcomes = new Map(saved.outcomes.map((outcome) => [outcome.url, outcome]));
+    for (const page of pages) this.findDuplicate(page.url, page.hash, page.content);
+  }
+
+  finish() {
+    this.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * Counts per status, and per reason for failed and skipped URLs
+   */
+  totals() {
+    const totals = { fetched: 0, notModified: 0, failed: 0, skipped: 0, duplicate: 0, reasons: {} };
+    for (const { status, reason } of this.outcomes.values()) {
+      if (status === 'ok') totals.fetched++;
+      else if (status === 'not-modified') totals.notModified++;
+      else totals[status]++;
+      if (reason) totals.reasons[reason] = (totals.reasons[reason] || 0) + 1;
+    }
+    return totals;
+  }
+
+  toJSON() {
+    return {
+      startUrl: this.startUrl,
+      strategy: this.strategy,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      totals: this.totals(),
+      outcomes: [...this.outcomes.values()],
+    };
+  }
+}
+
+/**
+ * One-line summary of a report (as returned by toJSON)
+ */
+export function summarizeReport(report) {
+  const { totals } = report;
+  const reasons = (status) => {
+    const list = [...new Set(report.outcomes.filter((o) => o.status === status).map((o) => o.reason))]
+      .map((reason) => `${totals.reasons[reason]} ${reason}`)
+      .join(', ');
+    return list ? ` (${list})` : '';
+  };
+
+  const parts = [`${totals.fetched} fetched`];
+  if (totals.notModified) parts.push(`${totals.notModified} unchanged`);
+  if (totals.failed) parts.push(`${totals.failed} failed${reasons('failed')}`);
+  if (totals.skipped) parts.push(`${totals.skipped} skipped${reasons('skipped')}`);
+  if (totals.duplicate) parts.push(`${totals.duplicate} duplicate`);
+  return parts.join(', ');
+}
+
+/**
+ * One progress line for an outcome (used by --verbose)
+ */
+export function formatOutcome(outcome) {
+  const detail = outcome.duplicateOf
+    ? ` (duplicate of ${outcome.duplicateOf})`
+    : outcome.reason
+      ? ` (${outcome.reason})`
+      : '';
+  return `${outcome.status.padEnd(12)} ${outcome.url}${detail}`;
+}
@@ -0,0 +1,222 @@
+/**
+ * Crawl credentials
+ *
+ * Per-host auth for private docs: static headers/cookies, form login and
+ * OAuth client credentials, configured in a JSON/YAML file whose values may
+ * reference environment variables (${VAR}). Sessions live in memory only;
+ * nothing here is written to the manifest or context.
+ *
+ *   hosts:
+ *     docs.acme.dev:
+ *       authHeader: Bearer ${ACME_DOCS_TOKEN}
+ *     "*.wiki.acme.dev":
+ *       login: { url: https://wiki.acme.dev/login, fields: { user: "${WIKI_USER}", pass: "${WIKI_PASS}" } }
+ *     api.acme.dev:
+ *       oauth: { tokenUrl: https://auth.acme.dev/token, clientId: "${ID}", clientSecret: "${SECRET}" }
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import axios from 'axios';
+import yaml from 'js-yaml';
+import * as cheerio from 'cheerio';
+
+// Renew tokens this long before they expire
+const EXPIRY_MARGIN_MS = 60000;
+
+/**
+ * Value of a required environment variable
+ */
+export function envSecret(name) {
+  if (!name) return undefined;
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    throw new Error(`Environment variable ${name} is not set`);
+  }
+  return value;
+}
+
+function interpolate(value) {
+  if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (m, name) => envSecret(name));
+  if (Array.isArray(value)) return value.map(interpolate);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolate(v)]));
+  }
+  return value;
+}
+
+export async function readCredentialsFile(file) {
+  const text = await fs.readFile(file, 'utf-8').catch(() => {
+    throw new Error(`Credentials file not found: ${file}`);
+  });
+  const config = /\.json$/i.test(file) ? JSON.parse(text) : yaml.load(text);
+  return interpolate(config?.hosts || {});
+}
+
+function normalizeAuthHeader(value) {
+  return value.replace(/^Authorization:\s*/i, '').trim();
+}
+
+/**
+ * Merge Set-Cookie headers into a name -> value jar
+ */
+function storeCookies(jar, response) {
+  for (const cookie of [].concat(response.headers['set-cookie'] || [])) {
+    const [pair] = cookie.split(';');
+    const eq = pair.indexOf('=');
+    if (eq > 0) jar.set(pair.slice(0, eq).trim(), pair.slice(eq + 1).trim());
+  }
+}
+
+function cookieHeader(jar) {
+  return [...jar].map(([name, value]) => `${name}=${value}`).join('; ');
+}
+
+export class CredentialStore {
+  /**
+   * `file`: credentials file; `host` + `authHeader`/`cookies`: the static
+   * --auth-header / --cookies, which apply to the source's own host only.
+   */
+  constructor(options = {}) {
+    this.file = options.file ? path.resolve(options.file) : null;
+    this.userAgent = options.userAgent;
+    this.timeout = options.timeout || 10000;
+    this.hosts = {};
+    if (options.host && (options.authHeader || options.cookies)) {
+      this.hosts[options.host] = { authHeader: options.authHeader, cookies: options.cookies };
+    }
+    this.loaded = !this.file;
+    this.sessions = new Map(); // host pattern -> Promise<{ authorization, cookies, expiresAt }>
+  }
+
+  async load() {
+    if (this.loaded) return;
+    const fromFile = await readCredentialsFile(this.file);
+    // Flags win over the file for the source's own host
+    for (const [host, config] of Object.entries(fromFile)) {
+      this.hosts[host] = { ...config, ...this.hosts[host] };
+    }
+    this.loaded = true;
+  }
+
+  /**
+   * Credentials entry for a host: exact match, then the longest "*.domain"
+   * wildcard.
+   */
+  match(host) {
+    if (this.hosts[host]) return [host, this.hosts[host]];
+    const wildcards = Object.keys(this.hosts)
+      .filter((pattern) => pattern.startsWith('*.') && (host === pattern.slice(2) || host.endsWith(pattern.slice(1))))
+      .sort((a, b) => b.length - a.length);
+    return wildcards.length > 0 ? [wildcards[0], this.hosts[wildcards[0]]] : [null, null];
+  }
+
+  /**
+   * Auth headers for a request to `url` (none for hosts without
+   * credentials). Logs in or fetches a token first when needed.
+   */
+  async headersFor(url) {
+    await this.load();
+    const [pattern, config] = this.match(new URL(url).host);
+    if (!config) return {};
+
+    const headers = {};
+    const cookies = [];
+    if (config.authHeader) headers['Authorization'] = normalizeAuthHeader(config.authHeader);
+    if (config.cookies) cookies.push(config.cookies);
+
+    if (config.login || config.oauth) {
+      const session = await this.session(pattern, config);
+      if (session.authorization) headers['Authorization'] = session.authorization;
+      if (session.cookies) cookies.push(session.cookies);
+    }
+    if (cookies.length > 0) headers['Cookie'] = cookies.join('; ');
+    return headers;
+  }
+
+  async session(pattern, config) {
+    const current = this.sessions.get(pattern);
+    if (current) {
+      const session = await current;
+      if (!session.expiresAt || session.expiresAt - EXPIRY_MARGIN_MS > Date.now()) return session;
+    }
+    const next = config.oauth ? this.clientCredentials(config.oauth) : this.formLogin(config.login);
+    this.sessions.set(pattern, next);
+    next.catch(() => this.sessions.delete(pattern));
+    return next;
+  }
+
+  /**
+   * Drop the session for a host after a 401/403 so the next request logs in
+   * again. Returns whether there was a session to renew.
+   */
+  invalidate(url) {
+    const [pattern, config] = this.match(new URL(url).host);
+    if (!config || !(config.login || config.oauth)) return false;
+    return this.sessions.delete(pattern);
+  }
+
+  async formLogin(login) {
+    if (!login?.url) throw new Error('Form login needs a url');
+    const jar = new Map();
+    const headers = this.userAgent ? { 'User-Agent': this.userAgent } : {};
+    const fields = { ...login.fields };
+
+    // Pick up pre-login cookies and a CSRF token from the login form
+    if (login.csrfField) {
+      const page = await axios.get(login.pageUrl || login.url, { headers, timeout: this.timeout });
+      storeCookies(jar, page);
+      const $ = cheerio.load(page.data);
+      fields[login.csrfField] = $(`input[name="${login.csrfField}"]`).attr('value') || '';
+    }
+
+    const json = login.format === 'json';
+    const response = await axios.post(
+      login.url,
+      json ? fields : new URLSearchParams(fields).toString(),
+      {
+        headers: {
+          ...headers,
+          'Content-Type': json ? 'application/json' : 'application/x-www-form-urlencoded',
+          ...(jar.size > 0 ? { Cookie: cookieHeader(jar) } : {}),
+        },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        validateStatus: (status) => status < 400,
+      }
+    );
+    if (!response.headers['set-cookie']) {
+      throw new Error(`Login to ${login.url} did not set a session cookie`);
+    }
+    storeCookies(jar, response);
+
+    return {
+      cookies: cookieHeader(jar),
+      expiresAt: login.sessionTtl ? Date.now() + login.sessionTtl * 1000 : null,
+    };
+  }
+
+  async clientCredentials(oauth) {
+    if (!oauth?.tokenUrl || !oauth.clientId) throw new Error('OAuth needs tokenUrl and clientId');
+    const body = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (oauth.scope) body.set('scope', oauth.scope);
+    if (oauth.audience) body.set('audience', oauth.audience);
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (oauth.authMethod === 'basic') {
+      headers['Authorization'] = `Basic ${Buffer.from(`${oauth.clientId}:${oauth.clientSecret || ''}`).toString('base64')}`;
+    } else {
+      body.set('client_id', oauth.clientId);
+      if (oauth.clientSecret) body.set('client_secret', oauth.clientSecret);
+    }
+
+    const { data } = await axios.post(oauth.tokenUrl, body.toString(), { headers, timeout: this.timeout });
+    if (!data?.access_token) throw new Error(`No access_token from ${oauth.tokenUrl}`);
+
+    const type = !data.token_type || /^bearer$/i.test(data.token_type) ? 'Bearer' : data.token_type;
+    return {
+      authorization: `${type} ${data.access_token}`,
+      expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+    };
+  }
+}
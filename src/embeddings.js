@@ -0,0 +1,167 @@
+/**
+ * Embedding Generator
+ *
+ * Computes chunk embeddings at generation time so generated servers can rank
+ * documentation by semantic similarity. Uses an Ollama or OpenAI-compatible
+ * embeddings endpoint, or a local hashed bag-of-words stand-in.
+ */
+
+import axios from 'axios';
+
+export const LOCAL_DIMENSIONS = 256;
+
+const DEFAULT_MODELS = {
+  ollama: 'nomic-embed-text',
+  openai: 'text-embedding-3-small',
+  local: 'hashed-bow-256',
+};
+
+/**
+ * Deterministic feature-hashing embedding. The generated TS and Python
+ * servers implement the same function to embed queries without a model.
+ */
+export function localEmbedding(text, dims = LOCAL_DIMENSIONS) {
+  const vector = new Array(dims).fill(0);
+  const tokens = String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1);
+
+  const add = (feature, weight) => {
+    const h = fnv1a(feature);
+    const sign = h & 0x80000000 ? -1 : 1;
+    vector[h % dims] += sign * weight;
+  };
+
+  for (const token of tokens) {
+    add(token, 1);
+    const padded = `#${token}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add(padded.slice(i, i + 3), 0.5);
+    }
+  }
+
+  return normalize(vector);
+}
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (const ch of str) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((s, v) => s + v * v, 0));
+  if (!norm) return vector;
+  return vector.map((v) => Math.round((v / norm) * 1e5) / 1e5);
+}
+
+/**
+ * Resolve --embeddings <provider> into an endpoint/model pair.
+ * 'auto' reuses the detected LLM endpoint and falls back to 'local'.
+ */
+export function resolveEmbeddingConfig(provider, llmConfig, model) {
+  let resolved = provider || 'local';
+  if (resolved === 'auto') {
+    resolved = llmConfig?.detected ? (llmConfig.type === 'ollama' ? 'ollama' : 'openai') : 'local';
+  }
+
+  if (resolved === 'ollama') {
+    const base = llmConfig?.type === 'ollama' && llmConfig.endpoint
+      ? llmConfig.endpoint.replace(/\/api\/generate$/, '')
+      : 'http://localhost:11434';
+    return {
+      provider: 'ollama',
+      endpoint: `${base}/api/embeddings`,
+      model: model || DEFAULT_MODELS.ollama,
+    };
+  }
+
+  if (resolved === 'openai') {
+    const local = llmConfig?.detected && llmConfig.type === 'openai';
+    return {
+      provider: 'openai',
+      endpoint: local
+        ? llmConfig.endpoint.replace(/\/chat\/completions$/, '/embeddings')
+        : 'https://api.openai.com/v1/embeddings',
+      model: model || (local ? llmConfig.model : DEFAULT_MODELS.openai),
+    };
+  }
+
+  if (resolved !== 'local') {
+    throw new Error(`Unknown embeddings provider: ${provider} (use auto | local | ollama | openai)`);
+  }
+
+  return { provider: 'local', endpoint: null, model: DEFAULT_MODELS.local };
+}
+
+export class EmbeddingGenerator {
+  constructor(config = {}) {
+    this.provider = config.provider || 'local';
+    this.endpoint = config.endpoint;
+    this.model = config.model || DEFAULT_MODELS[this.provider];
+    this.apiKey = config.apiKey || process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY;
+    this.timeout = config.timeout || 30000;
+    this.fallbackReason = null;
+  }
+
+  async embed(text) {
+    if (this.provider === 'ollama') {
+      const res = await axios.post(
+        this.endpoint,
+        { model: this.model, prompt: text },
+        { timeout: this.timeout }
+      );
+      return normalize(res.data.embedding || []);
+    }
+
+    if (this.provider === 'openai') {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+      const res = await axios.post(
+        this.endpoint,
+        { model: this.model, input: text },
+        { timeout: this.timeout, headers }
+      );
+      return normalize(res.data.data?.[0]?.embedding || []);
+    }
+
+    return localEmbedding(text);
+  }
+
+  /**
+   * Embed every chunk. A remote failure on the first request switches to the
+   * local stand-in instead of aborting generation.
+   */
+  async embedChunks(chunks) {
+    const vectors = [];
+
+    for (const chunk of chunks || []) {
+      const text = `${[chunk.title, ...(chunk.headings || [])].join(' > ')}\n\n${chunk.content}`;
+      let vector;
+      try {
+        vector = await this.embed(text);
+      } catch (error) {
+        if (this.provider === 'local' || vectors.length > 0) throw error;
+        this.fallbackReason = error.message;
+        this.provider = 'local';
+        this.endpoint = null;
+        this.model = DEFAULT_MODELS.local;
+        vector = await this.embed(text);
+      }
+      if (vector.length > 0) vectors.push({ id: chunk.id, vector });
+    }
+
+    return {
+      provider: this.provider,
+      model: this.model,
+      endpoint: this.endpoint,
+      dimensions: vectors[0]?.vector.length || 0,
+      createdAt: new Date().toISOString(),
+      vectors,
+    };
+  }
+}
@@ -10,9 +10,121 @@ import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import prettier from 'prettier';
+import { buildSearchIndex } from './search-index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+export const TRANSPORTS = ['stdio', 'http', 'sse'];
+export const DEFAULT_PORT = 3000;
+
+// Tools every generated server defines; API operations may not reuse them
+export const BUILTIN_TOOLS = ['ask_docs', 'search_docs', 'generate_code', 'get_page', 'list_sections', 'find_symbol'];
+
+/**
+ * Suffix of an API's environment variables (API_BASE_URL_<NAME>, ...): its
+ * title, or for GraphQL (all titled alike) its schema file or host name
+ */
+function envNameFor(api) {
+  let label = api.title || 'API';
+  const location = api.sourceId?.replace(/^[a-z-]+:/, '');
+  if (api.type === 'graphql' && location) {
+    label = /^https?:\/\//.test(location)
+      ? new URL(location).hostname.replace(/^(www|api)\./, '').split('.')[0]
+      : path.basename(location, path.extname(location));
+  }
+  return label.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'API';
+}
+
+/**
+ * Give every API a distinct envName so each can be configured separately
+ */
+function withEnvNames(apis) {
+  const used = new Set();
+  return apis.map((api) => {
+    const base = envNameFor(api);
+    let envName = base;
+    for (let i = 2; used.has(envName); i++) envName = `${base}_${i}`;
+    used.add(envName);
+    return { ...api, envName };
+  });
+}
+
+/**
+ * Give every API operation a tool name unique across all APIs and distinct
+ * from the built-in tools; later clashes get a _2, _3, ... suffix
+ */
+export function uniqueToolNames(apis) {
+  const used = new Set(BUILTIN_TOOLS);
+  return apis.map((api) => ({
+    ...api,
+    operations: api.operations.map((op) => {
+      let name = op.name;
+      for (let i = 2; used.has(name); i++) name = `${op.name.slice(0, 60)}_${i}`;
+      used.add(name);
+      return name === op.name ? op : { ...op, name };
+    }),
+  }));
+}
+
+/**
+ * URL path clients connect to for an HTTP transport
+ */
+export function transportPath(transport) {
+  return transport === 'sse' ? '/sse' : '/mcp';
+}
+
+/**
+ * archestra-manifest.yaml for a generated server. stdio servers are
+ * launched by Archestra with docker run -i; HTTP/SSE servers run as a
+ * long-lived container that Archestra connects to by URL.
+ */
+export function archestraManifest({ serverName, projectName, model, transport = 'stdio', port = DEFAULT_PORT, llmMode = 'llm' }) {
+  const header = `# Archestra MCP Manifest - ${serverName}
+# Generated by Super MCP. Import into Archestra MCP Registry.
+
+name: ${serverName}
+transport: ${transport}
+`;
+  const env = `  - -e
+  - LLM_MODE=\${LLM_MODE:-${llmMode}}
+  - -e
+  - LLM_PROVIDER=\${LLM_PROVIDER:-ollama}
+  - -e
+  - LLM_MODEL=\${LLM_MODEL:-${model || 'llama3.2'}}
+  - -e
+  - OPENAI_API_KEY=\${OPENAI_API_KEY}
+  - -e
+  - ANTHROPIC_API_KEY=\${ANTHROPIC_API_KEY}
+  - -e
+  - GROQ_API_KEY=\${GROQ_API_KEY}
+`;
+
+  if (transport === 'stdio') {
+    return `${header}command: docker
+args:
+  - run
+  - --rm
+  - -i
+  - --network=host
+${env}image: ${projectName}:latest
+
+# Build: docker build -t ${projectName}:latest .
+`;
+  }
+
+  return `${header}url: http://localhost:${port}${transportPath(transport)}
+headers:
+  Authorization: Bearer \${MCP_AUTH_TOKEN}
+image: ${projectName}:latest
+port: ${port}
+healthcheck: http://localhost:${port}/health
+
+# Build: docker build -t ${projectName}:latest .
+# Run:   docker compose up -d   (or: docker run -d -p ${port}:${port} -e MCP_AUTH_TOKEN=... ${projectName}:latest)
+# Drop the Authorization header if MCP_AUTH_TOKEN is not set.
+`;
+}
+
 export class MCPGenerator {
   constructor(options = {}) {
     this.templateDir = path.join(__dirname, '../templates');
@@ -39,6 +151,11 @@ export class MCPGenerator {
       outputDir = process.cwd(),
       includeDocker = true,
       preset = 'default',
+      embeddings = null,
+      apiTools = null,
+      transport = 'stdio',
+      port = DEFAULT_PORT,
+      llmMode = 'llm',
     } = config;
 
     const docsName = this.extractDocsName(docsUrl, serverName);
@@ -59,6 +176,12 @@ export class MCPGenerator {
       },
       language,
       preset,
+      transport,
+      port,
+      httpTransport: transport !== 'stdio',
+      transportPath: transportPath(transport),
+      llmMode,
+      noLlm: llmMode === 'none',
       generatedAt: new Date().toISOString(),
     };
 
@@ -68,7 +191,11 @@ export class MCPGenerator {
       await this.generatePython(projectDir, templateData);
     }
 
-    await this.writeContext(projectDir, docsData);
+    await this.writeContext(projectDir, docsData, embeddings);
+
+    if (apiTools) {
+      await this.writeApiTools(projectDir, apiTools);
+    }
 
     if (includeDocker) {
       await this.generateDockerFiles(projectDir, templateData);
@@ -100,6 +227,9 @@ export class MCPGenerator {
       'src/llm-client.ts': 'typescript/llm-client.ts.hbs',
       'src/types.ts': 'typescript/types.ts.hbs',
       'src/logger.ts': 'typescript/logger.ts.hbs',
+      'src/api-tools.ts': 'typescript/api-tools.ts.hbs',
+      'src/http-server.ts': 'typescript/http-server.ts.hbs',
+      'src/resources.ts': 'typescript/resources.ts.hbs',
       'package.json': 'typescript/package.json.hbs',
       'tsconfig.json': 'typescript/tsconfig.json.hbs',
       '.env.example': 'typescript/env.example.hbs',
@@ -116,7 +246,7 @@ export class MCPGenerator {
 
     const gitignorePath = path.join(this.templateDir, 'typescript/gitignore.hbs');
     if (await fs.pathExists(gitignorePath)) {
-      await fs.writeFile(path.join(dir, '.gitignore'), 'node_modules\ndist\n.env\nlogs\n*.log\n');
+      await fs.writeFile(path.join(dir, '.gitignore'), 'node_modules\ndist\n.env\nlogs\n*.log\n.crawl-cache\n');
     }
   }
 
@@ -160,7 +290,7 @@ export class MCPGenerator {
 
     await fs.writeFile(
       path.join(dir, '.dockerignore'),
-      'node_modules\n.git\n.env\n*.log\nlogs\n'
+      'node_modules\n.git\n.env\n*.log\nlogs\n.crawl-cache\n'
     );
   }
 
@@ -174,31 +304,14 @@ export class MCPGenerator {
   }
 
   async generateArchestraManifest(dir, data) {
-    const manifest = `# Archestra MCP Manifest - ${data.serverName}
-# Generated by Super MCP. Import into Archestra MCP Registry.
-
-name: ${data.serverName}
-transport: stdio
-command: docker
-args:
-  - run
-  - --rm
-  - -i
-  - --network=host
-  - -e
-  - LLM_PROVIDER=\${LLM_PROVIDER:-ollama}
-  - -e
-  - LLM_MODEL=\${LLM_MODEL:-${data.llmConfig?.model || 'llama3.2'}}
-  - -e
-  - OPENAI_API_KEY=\${OPENAI_API_KEY}
-  - -e
-  - ANTHROPIC_API_KEY=\${ANTHROPIC_API_KEY}
-  - -e
-  - GROQ_API_KEY=\${GROQ_API_KEY}
-image: ${data.projectName}:latest
-
-# Build: docker build -t ${data.projectName}:latest .
-`;
+    const manifest = archestraManifest({
+      serverName: data.serverName,
+      projectName: data.projectName,
+      model: data.llmConfig?.model,
+      transport: data.transport,
+      port: data.port,
+      llmMode: data.llmMode,
+    });
     await fs.writeFile(path.join(dir, 'archestra-manifest.yaml'), manifest);
   }
 
@@ -231,7 +344,32 @@ image: ${data.projectName}:latest
     await fs.writeFile(outputPath, output);
   }
 
-  async writeContext(dir, docsData) {
+  /**
+   * context/api-tools.json: one callable tool per OpenAPI operation or
+   * GraphQL root field, across all API sources
+   */
+  async writeApiTools(dir, apis) {
+    await fs.ensureDir(path.join(dir, 'context'));
+    await fs.writeJson(
+      path.join(dir, 'context', 'api-tools.json'),
+      { generatedAt: new Date().toISOString(), apis: withEnvNames(uniqueToolNames(apis)) },
+      { spaces: 2 }
+    );
+  }
+
+  /**
+   * context/crawl-report.json: per-URL outcomes of each crawled source
+   */
+  async writeCrawlReport(dir, reports) {
+    await fs.ensureDir(path.join(dir, 'context'));
+    await fs.writeJson(
+      path.join(dir, 'context', 'crawl-report.json'),
+      { generatedAt: new Date().toISOString(), sources: reports },
+      { spaces: 2 }
+    );
+  }
+
+  async writeContext(dir, docsData, embeddings = null) {
     const contextDir = path.join(dir, 'context');
     await fs.ensureDir(contextDir);
 
@@ -239,13 +377,26 @@ image: ${data.projectName}:latest
       spaces: 2,
     });
 
+    await fs.writeJson(
+      path.join(contextDir, 'index.json'),
+      buildSearchIndex(docsData?.chunks || [])
+    );
+
+    if (embeddings) {
+      await fs.writeJson(path.join(contextDir, 'embeddings.json'), embeddings);
+    }
+
     const metadata = {
       generatedAt: new Date().toISOString(),
       generatedBy: 'Super MCP',
       version: '1.0.0',
       pageCount: docsData?.pageCount || 0,
+      chunkCount: docsData?.chunkCount || 0,
       totalWords:
         docsData?.pages?.reduce((sum, p) => sum + (p.wordCount || 0), 0) || 0,
+      embeddings: embeddings
+        ? { provider: embeddings.provider, model: embeddings.model, dimensions: embeddings.dimensions }
+        : null,
     };
 
     await fs.writeJson(path.join(contextDir, 'metadata.json'), metadata, {
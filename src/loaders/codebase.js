@@ -1,52 +1,282 @@
 /**
  * Codebase indexer
- * Indexes local source code for context
+ * Indexes local source code for context: one overview page per file and one
+ * page per top-level symbol (functions, classes, types) with its doc comment
  */
 
 import fs from 'fs-extra';
 import path from 'path';
+import { listFiles } from './files.js';
 
-const EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.py', '.go', '.rs', '.java', '.rb', '.php'];
-const IGNORE = ['node_modules', '.git', 'dist', 'build', '__pycache__', '.next', 'vendor'];
+const LANGUAGES = {
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.mts': 'typescript',
+  '.cts': 'typescript',
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.py': 'python',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.java': 'java',
+  '.rb': 'ruby',
+  '.php': 'php',
+};
 
-export async function loadCodebase(dirPath, options = {}) {
-  const maxFiles = options.maxFiles || 100;
-  const maxSize = options.maxSize || 50000; // chars per file
-  const pages = [];
-  let count = 0;
-
-  async function walk(dir) {
-    if (count >= maxFiles) return;
-    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
-    for (const ent of entries) {
-      if (count >= maxFiles) break;
-      const full = path.join(dir, ent.name);
-      const rel = path.relative(dirPath, full);
-      if (IGNORE.some((i) => rel.includes(i))) continue;
-
-      if (ent.isDirectory()) {
-        await walk(full);
-      } else if (EXTENSIONS.includes(path.extname(ent.name))) {
-        const content = await fs.readFile(full, 'utf-8').catch(() => '');
-        const truncated = content.length > maxSize ? content.slice(0, maxSize) + '\n... (truncated)' : content;
-        pages.push({
-          url: `file://${full}`,
-          title: rel,
-          content: `# ${rel}\n\n\`\`\`\n${truncated}\n\`\`\``,
-          wordCount: truncated.split(/\s+/).length,
-          scrapedAt: new Date().toISOString(),
-          source: 'codebase',
-        });
-        count++;
-      }
+// Lines of imports / module header shown on a file's overview page
+const HEADER_LINES = 40;
+
+const JS_ID = '[A-Za-z_$][\\w$]*';
+const JS_SYMBOLS = [
+  { kind: 'function', re: new RegExp(`^(?:export\\s+)?(?:default\\s+)?(?:async\\s+)?function\\s*\\*?\\s*(${JS_ID})`) },
+  { kind: 'class', re: new RegExp(`^(?:export\\s+)?(?:default\\s+)?(?:abstract\\s+)?class\\s+(${JS_ID})`) },
+  { kind: 'interface', re: new RegExp(`^(?:export\\s+)?(?:declare\\s+)?interface\\s+(${JS_ID})`) },
+  { kind: 'type', re: new RegExp(`^(?:export\\s+)?(?:declare\\s+)?type\\s+(${JS_ID})\\b[^=]*=`) },
+  { kind: 'enum', re: new RegExp(`^(?:export\\s+)?(?:declare\\s+)?(?:const\\s+)?enum\\s+(${JS_ID})`) },
+  {
+    kind: 'function',
+    re: new RegExp(`^(?:export\\s+)?(?:const|let|var)\\s+(${JS_ID})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*(?::[^=]+)?=>|${JS_ID}\\s*=>)`),
+  },
+  { kind: 'variable', re: new RegExp(`^export\\s+(?:const|let|var)\\s+(${JS_ID})`) },
+];
+
+/**
+ * Top-level declaration patterns per language. `name` builds the symbol
+ * name from the match when it is not simply the first group.
+ */
+const SYMBOL_PATTERNS = {
+  typescript: JS_SYMBOLS,
+  javascript: JS_SYMBOLS,
+  python: [
+    { kind: 'function', re: /^(?:async\s+)?def\s+([A-Za-z_]\w*)/ },
+    { kind: 'class', re: /^class\s+([A-Za-z_]\w*)/ },
+  ],
+  go: [
+    {
+      kind: 'method',
+      re: /^func\s+\(\s*\w*\s*\*?\s*([A-Za-z_]\w*)[^)]*\)\s*([A-Za-z_]\w*)/,
+      name: (m) => `${m[1]}.${m[2]}`,
+    },
+    { kind: 'function', re: /^func\s+([A-Za-z_]\w*)/ },
+    { kind: 'struct', re: /^type\s+([A-Za-z_]\w*)\s+struct\b/ },
+    { kind: 'interface', re: /^type\s+([A-Za-z_]\w*)\s+interface\b/ },
+    { kind: 'type', re: /^type\s+([A-Za-z_]\w*)\b/ },
+  ],
+  rust: [
+    { kind: 'function', re: /^(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?(?:extern\s+"[^"]*"\s+)?fn\s+([A-Za-z_]\w*)/ },
+    { kind: 'struct', re: /^(?:pub(?:\([^)]*\))?\s+)?struct\s+([A-Za-z_]\w*)/ },
+    { kind: 'enum', re: /^(?:pub(?:\([^)]*\))?\s+)?enum\s+([A-Za-z_]\w*)/ },
+    { kind: 'trait', re: /^(?:pub(?:\([^)]*\))?\s+)?(?:unsafe\s+)?trait\s+([A-Za-z_]\w*)/ },
+    {
+      kind: 'impl',
+      re: /^(?:unsafe\s+)?impl(?:<[^>]*>)?\s+(?:([\w:]+)(?:<[^>]*>)?\s+for\s+)?([\w:]+)/,
+      name: (m) => (m[1] ? `${m[1]} for ${m[2]}` : m[2]),
+    },
+    { kind: 'macro', re: /^macro_rules!\s*([A-Za-z_]\w*)/ },
+  ],
+  java: [
+    {
+      kind: (m) => m[1],
+      re: /^(?:(?:public|protected|private|abstract|final|static|sealed|non-sealed)\s+)*(class|interface|enum|record)\s+([A-Za-z_]\w*)/,
+      name: (m) => m[2],
+    },
+    {
+      kind: 'method',
+      re: /^(?: {4}|\t)(?:@\w+\s+)*(?:(?:public|protected|private|static|final|abstract|synchronized|default)\s+)+(?:<[^>]+>\s+)?[\w<>[\],.? ]+\s+([A-Za-z_]\w*)\s*\(/,
+    },
+  ],
+  ruby: [
+    { kind: (m) => m[1], re: /^\s{0,2}(class|module)\s+([A-Z][\w:]*)/, name: (m) => m[2] },
+    { kind: 'method', re: /^\s{0,4}def\s+((?:self\.)?[\w?!=]+)/ },
+  ],
+  php: [
+    {
+      kind: (m) => m[1],
+      re: /^(?:(?:abstract|final|readonly)\s+)*(class|interface|trait|enum)\s+([A-Za-z_]\w*)/,
+      name: (m) => m[2],
+    },
+    { kind: 'function', re: /^function\s+([A-Za-z_]\w*)/ },
+    { kind: 'method', re: /^\s{4}(?:(?:public|protected|private|static|abstract|final)\s+)*function\s+([A-Za-z_]\w*)/ },
+  ],
+};
+
+function matchSymbol(line, language) {
+  for (const pattern of SYMBOL_PATTERNS[language] || []) {
+    const m = line.match(pattern.re);
+    if (!m) continue;
+    return {
+      kind: typeof pattern.kind === 'function' ? pattern.kind(m) : pattern.kind,
+      name: pattern.name ? pattern.name(m) : m[1],
+    };
+  }
+  return null;
+}
+
+function cleanBlockComment(lines) {
+  return lines
+    .map((l) => l.replace(/^\s*\/\*\*?/, '').replace(/\*\/\s*$/, '').replace(/^\s*\* ?/, ''))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Doc comment directly above `line` (JSDoc/Javadoc block or ///, //, #
+ * comment run), skipping decorators/annotations. Returns the first line of
+ * the comment (or of the decorators) and the cleaned text.
+ */
+function leadingDoc(lines, line) {
+  let i = line - 1;
+  while (i >= 0 && /^\s*(@|#\[)/.test(lines[i])) i--;
+  let start = i + 1;
+  let doc = '';
+
+  if (i >= 0 && /\*\/\s*$/.test(lines[i])) {
+    let j = i;
+    while (j > 0 && !/^\s*\/\*/.test(lines[j])) j--;
+    doc = cleanBlockComment(lines.slice(j, i + 1));
+    start = j;
+  } else {
+    let j = i;
+    while (j >= 0 && /^\s*(\/\/|#(?!\[))/.test(lines[j]) && !/^#!/.test(lines[j])) j--;
+    if (j < i) {
+      doc = lines.slice(j + 1, i + 1).map((l) => l.replace(/^\s*(\/\/\/?|#)\s?/, '')).join('\n').trim();
+      start = j + 1;
     }
   }
 
+  return { start, doc };
+}
+
+/**
+ * Python docstring: first statement after the (possibly multi-line) header
+ */
+function pythonDocstring(lines, line) {
+  let i = line;
+  while (i < lines.length && !/:\s*(#.*)?$/.test(lines[i])) i++;
+  i++;
+  while (i < lines.length && !lines[i].trim()) i++;
+  const first = lines[i]?.trim() || '';
+  const quote = first.match(/^[rubf]*("""|''')/i)?.[1];
+  if (!quote) return '';
+
+  const body = [first.slice(first.indexOf(quote) + 3)];
+  if (!body[0].includes(quote)) {
+    for (i++; i < lines.length && !lines[i].includes(quote); i++) body.push(lines[i].trim());
+    if (i < lines.length) body.push(lines[i].trim());
+  }
+  return body.join('\n').split(quote)[0].trim();
+}
+
+function signatureOf(line) {
+  return line.trim().replace(/\s*\{\s*$/, '').replace(/\s*:\s*$/, '');
+}
+
+/**
+ * Top-level symbols of a file with their line ranges (1-based, inclusive).
+ * Each symbol runs until the next one starts.
+ */
+export function extractSymbols(content, language) {
+  const lines = content.split('\n');
+  const found = [];
+
+  lines.forEach((text, line) => {
+    const match = matchSymbol(text, language);
+    if (!match) return;
+    const { start, doc } = leadingDoc(lines, line);
+    found.push({
+      ...match,
+      line: line + 1,
+      start,
+      signature: signatureOf(text),
+      doc: language === 'python' ? pythonDocstring(lines, line) || doc : doc,
+    });
+  });
+
+  return found.map((symbol, i) => {
+    let end = i + 1 < found.length ? found[i + 1].start - 1 : lines.length - 1;
+    while (end > symbol.start && !lines[end].trim()) end--;
+    return {
+      name: symbol.name,
+      kind: symbol.kind,
+      line: symbol.line,
+      endLine: end + 1,
+      signature: symbol.signature,
+      doc: symbol.doc,
+      code: lines.slice(symbol.start, end + 1).join('\n'),
+    };
+  });
+}
+
+function truncate(text, maxSize) {
+  return text.length > maxSize ? text.slice(0, maxSize) + '\n... (truncated)' : text;
+}
+
+function makePage(url, title, content, extra = {}) {
+  return {
+    url,
+    title,
+    content,
+    wordCount: content.split(/\s+/).length,
+    scrapedAt: new Date().toISOString(),
+    source: 'codebase',
+    ...extra,
+  };
+}
+
+function filePages(full, rel, content, language, maxSize) {
+  const symbols = extractSymbols(content, language);
+  const fence = '```' + language;
+  const pages = [];
+
+  let overview = `# ${rel}\n\nLanguage: ${language}\n\n`;
+  if (symbols.length === 0) {
+    overview += `${fence}\n${truncate(content, maxSize)}\n\`\`\``;
+    return [makePage(`file://${full}`, rel, overview)];
+  }
+
+  const header = content.split('\n').slice(0, Math.min(symbols[0].line - 1, HEADER_LINES)).join('\n').trim();
+  if (header) overview += `${fence}\n${header}\n\`\`\`\n\n`;
+  overview += '## Symbols\n\n';
+  overview += symbols.map((s) => `- ${s.kind} **${s.name}** (line ${s.line})`).join('\n') + '\n';
+  pages.push(makePage(`file://${full}`, rel, overview));
+
+  for (const s of symbols) {
+    let body = `# ${s.kind} ${s.name}\n\nFile: ${rel}:${s.line}-${s.endLine}\n\n`;
+    if (s.doc) body += s.doc + '\n\n';
+    body += `${fence}\n${truncate(s.code, maxSize)}\n\`\`\``;
+    pages.push(makePage(`file://${full}#L${s.line}-L${s.endLine}`, `${rel}: ${s.kind} ${s.name}`, body, {
+      symbol: {
+        name: s.name,
+        kind: s.kind,
+        file: rel,
+        line: s.line,
+        endLine: s.endLine,
+        language,
+        signature: s.signature,
+      },
+    }));
+  }
+
+  return pages;
+}
+
+export async function loadCodebase(dirPath, options = {}) {
+  const maxFiles = options.maxFiles || 500;
+  const maxSize = options.maxSize || 50000; // chars per page
   const resolved = path.resolve(dirPath);
-  if (!(await fs.pathExists(resolved))) {
-    throw new Error(`Path not found: ${resolved}`);
+
+  const files = await listFiles(resolved, {
+    maxFiles,
+    accept: (name) => !!LANGUAGES[path.extname(name)] && !/\.min\.[cm]?js$/.test(name),
+  });
+
+  const pages = [];
+  for (const { full, rel } of files) {
+    const content = await fs.readFile(full, 'utf-8').catch(() => '');
+    pages.push(...filePages(full, rel, content, LANGUAGES[path.extname(full)], maxSize));
   }
-  await walk(resolved);
 
   return {
     pageCount: pages.length,
@@ -0,0 +1,345 @@
+/**
+ * Local docs folder loader
+ * Loads .md, .mdx, .rst and .adoc files as markdown pages: front-matter
+ * titles, MDX components stripped, reStructuredText / AsciiDoc converted,
+ * and relative links rewritten to the linked page's URL
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { listFiles } from './files.js';
+
+const FORMATS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.mdx': 'mdx',
+  '.rst': 'rst',
+  '.adoc': 'asciidoc',
+  '.asciidoc': 'asciidoc',
+};
+
+const INDEX_NAMES = /^(index|readme)$/i;
+
+function splitFrontMatter(text) {
+  const m = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!m) return { data: {}, body: text };
+  let data = {};
+  try {
+    data = yaml.load(m[1]) || {};
+  } catch {
+    // Malformed front matter is treated as absent
+  }
+  return { data: typeof data === 'object' ? data : {}, body: text.slice(m[0].length) };
+}
+
+/**
+ * Apply `fn` to the text outside fenced code blocks, line by line
+ */
+function outsideFences(text, fn) {
+  let fence = null;
+  return text
+    .split('\n')
+    .map((line) => {
+      const m = line.match(/^\s*(```+|~~~+)/);
+      if (m && (!fence || m[1].startsWith(fence))) {
+        fence = fence ? null : m[1];
+        return line;
+      }
+      return fence ? line : fn(line);
+    })
+    .filter((line) => line !== null)
+    .join('\n');
+}
+
+/**
+ * Drop MDX-only syntax: ESM import/export lines, {/* comments *\/} and
+ * JSX component tags (inner content is kept).
+ */
+function stripMdx(text) {
+  let inExport = false;
+  const withoutEsm = outsideFences(text, (line) => {
+    if (inExport) {
+      if (/^[}\])];?\s*$/.test(line)) inExport = false;
+      return null;
+    }
+    if (/^import\s.+from\s+['"]/.test(line) || /^import\s+['"]/.test(line)) return null;
+    if (/^export\s/.test(line)) {
+      inExport = /[{[(]\s*$/.test(line);
+      return null;
+    }
+    return line;
+  });
+
+  return outsideFences(
+    withoutEsm.replace(/\{\/\*[\s\S]*?\*\/\}/g, ''),
+    (line) =>
+      line
+        .replace(/<[A-Z][\w.]*(\s[^<>]*)?\/>/g, '')
+        .replace(/<\/?[A-Z][\w.]*(\s[^<>]*)?>/g, '')
+  );
+}
+
+const RST_ADORNMENT = /^([=\-~^"'`#*+:.])\1{2,}\s*$/;
+const RST_ADMONITIONS = /^\.\.\s+(note|warning|tip|important|caution|danger|attention|hint|seealso|error)::\s*(.*)$/i;
+
+function rstInline(line) {
+  return line
+    .replace(/:doc:`([^`<]+?)\s*<([^>]+)>`/g, '[$1]($2)')
+    .replace(/:doc:`([^`]+)`/g, '[$1]($1)')
+    .replace(/:\w+(?::\w+)?:`([^`<]+?)\s*<[^>]+>`/g, '`$1`')
+    .replace(/:\w+(?::\w+)?:`([^`]+)`/g, '`$1`')
+    .replace(/`([^`<]+?)\s*<([^>]+)>`__?/g, '[$1]($2)')
+    .replace(/``([^`]+)``/g, '`$1`');
+}
+
+function indentedBlock(lines, start) {
+  const block = [];
+  let i = start;
+  while (i < lines.length && (!lines[i].trim() || /^\s+/.test(lines[i]))) {
+    block.push(lines[i]);
+    i++;
+  }
+  while (block.length && !block[block.length - 1].trim()) {
+    block.pop();
+    i--;
+  }
+  const indent = Math.min(...block.filter((l) => l.trim()).map((l) => l.match(/^\s*/)[0].length), Infinity);
+  return { body: block.map((l) => l.slice(Number.isFinite(indent) ? indent : 0)), next: i };
+}
+
+function rstToMarkdown(text) {
+  const lines = text.split('\n');
+  const levels = [];
+  const out = [];
+  const heading = (key, title) => {
+    if (!levels.includes(key)) levels.push(key);
+    out.push(`${'#'.repeat(Math.min(levels.indexOf(key) + 1, 6))} ${rstInline(title.trim())}`);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const next = lines[i + 1] || '';
+
+    // Over- and underlined title
+    if (RST_ADORNMENT.test(line) && next.trim() && RST_ADORNMENT.test(lines[i + 2] || '') && lines[i + 2][0] === line[0]) {
+      heading(`over${line[0]}`, next);
+      i += 2;
+      continue;
+    }
+    // Underlined title
+    if (line.trim() && !/^\s/.test(line) && RST_ADORNMENT.test(next) && next.trim().length >= line.trim().length) {
+      heading(next[0], line);
+      i += 1;
+      continue;
+    }
+
+    const code = line.match(/^\.\.\s+(?:code-block|code|sourcecode)::\s*(\S*)/);
+    if (code) {
+      let { body, next: end } = indentedBlock(lines, i + 1);
+      body = body.filter((l, idx) => !(idx < 3 && /^:\w[\w-]*:/.test(l)));
+      while (body.length && !body[0].trim()) body.shift();
+      out.push('```' + code[1], ...body, '```');
+      i = end - 1;
+      continue;
+    }
+
+    const admonition = line.match(RST_ADMONITIONS);
+    if (admonition) {
+      const { body, next: end } = indentedBlock(lines, i + 1);
+      const label = admonition[1].charAt(0).toUpperCase() + admonition[1].slice(1).toLowerCase();
+      const text = [admonition[2], ...body].filter((l) => l.trim()).map(rstInline);
+      out.push(`> **${label}:** ${text.shift() || ''}`, ...text.map((l) => `> ${l}`));
+      i = end - 1;
+      continue;
+    }
+
+    if (/^\.\.\s/.test(line) || /^\.\.$/.test(line)) {
+      // Other directives keep their content; comments, targets, images and
+      // toctrees are dropped
+      const { body, next: end } = indentedBlock(lines, i + 1);
+      if (/^\.\.\s+[\w-]+::/.test(line) && !/^\.\.\s+(image|figure|toctree|include|raw)::/.test(line)) {
+        out.push(...body.filter((l) => !/^:\w[\w-]*:/.test(l)).map(rstInline));
+      }
+      i = end - 1;
+      continue;
+    }
+
+    if (/::\s*$/.test(line)) {
+      const intro = line.replace(/\s*::\s*$/, '');
+      if (intro.trim()) out.push(rstInline(intro) + ':');
+      const { body, next: end } = indentedBlock(lines, i + 1);
+      while (body.length && !body[0].trim()) body.shift();
+      out.push('', '```', ...body, '```');
+      i = end - 1;
+      continue;
+    }
+
+    out.push(rstInline(line));
+  }
+
+  return out.join('\n');
+}
+
+const ADOC_ADMONITION = /^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):\s+(.*)$/;
+
+function adocInline(line) {
+  return line
+    .replace(/<<([^,>]+),\s*([^>]+)>>/g, '[$2]($1)')
+    .replace(/xref:([^[\s]+)\[([^\]]*)\]/g, (m, target, text) => `[${text || target}](${target})`)
+    .replace(/link:([^[\s]+)\[([^\]]*)\]/g, (m, target, text) => `[${text || target}](${target})`)
+    .replace(/(^|[^(])(https?:\/\/[^[\s]+)\[([^\]]+)\]/g, '$1[$3]($2)')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*(?!\*)/g, '$1**$2**');
+}
+
+function adocToMarkdown(text) {
+  const lines = text.split('\n');
+  const out = [];
+  let language = '';
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (/^\/\/($|[^/])/.test(line) || /^(include|image)::/.test(line) || /^:[\w-]+:/.test(line)) continue;
+
+    const source = line.match(/^\[source(?:,\s*([\w+-]+))?.*\]$/);
+    if (source) {
+      language = source[1] || '';
+      continue;
+    }
+    if (/^\[[A-Z]+\]$/.test(line) || /^\[\w*[#.%][^\]]*\]$/.test(line)) continue;
+
+    if (/^(-{4,}|\.{4,})$/.test(line)) {
+      const close = line;
+      let j = i + 1;
+      const body = [];
+      while (j < lines.length && lines[j] !== close) body.push(lines[j++]);
+      out.push('```' + language, ...body, '```');
+      language = '';
+      i = j;
+      continue;
+    }
+    if (/^(={4,}|\*{4,}|_{4,})$/.test(line)) continue;
+
+    const title = line.match(/^(={1,6})\s+(.+)$/);
+    if (title) {
+      out.push(`${'#'.repeat(title[1].length)} ${adocInline(title[2])}`);
+      continue;
+    }
+
+    const admonition = line.match(ADOC_ADMONITION);
+    if (admonition) {
+      const label = admonition[1].charAt(0) + admonition[1].slice(1).toLowerCase();
+      out.push(`> **${label}:** ${adocInline(admonition[2])}`);
+      continue;
+    }
+
+    out.push(adocInline(line));
+  }
+
+  return out.join('\n');
+}
+
+function stripHtmlComments(text) {
+  return text.replace(/<!--[\s\S]*?-->/g, '');
+}
+
+function toMarkdown(raw, format) {
+  switch (format) {
+    case 'mdx':
+      return stripHtmlComments(stripMdx(raw));
+    case 'rst':
+      return rstToMarkdown(raw);
+    case 'asciidoc':
+      return adocToMarkdown(raw);
+    default:
+      return stripHtmlComments(raw);
+  }
+}
+
+function humanize(rel) {
+  const base = path.basename(rel, path.extname(rel));
+  const name = INDEX_NAMES.test(base) ? path.basename(path.dirname(rel)) || base : base;
+  return name.replace(/[-_]+/g, ' ').replace(/^\w/, (c) => c.toUpperCase());
+}
+
+/**
+ * Page URL for a file: baseUrl + route (extension dropped, index/README
+ * mapped to their folder) when a base URL is configured, else the file URL.
+ */
+function pageUrl(full, rel, baseUrl) {
+  if (!baseUrl) return `file://${full}`;
+  const dir = path.posix.dirname(rel);
+  const base = path.posix.basename(rel, path.posix.extname(rel));
+  const route = INDEX_NAMES.test(base) ? (dir === '.' ? '' : dir) : path.posix.join(dir === '.' ? '' : dir, base);
+  return baseUrl.replace(/\/?$/, '/') + route;
+}
+
+/**
+ * Rewrite relative markdown links that point at other loaded files to those
+ * files' page URLs; pure anchors resolve against the current page.
+ */
+function rewriteLinks(markdown, rel, urls) {
+  return outsideFences(markdown, (line) =>
+    line.replace(/(!?)\[([^\]]*)\]\(([^)\s]+)(\s+"[^"]*")?\)/g, (m, bang, text, target, title = '') => {
+      if (bang || /^[a-z][a-z0-9+.-]*:/i.test(target)) return m;
+      const [file, anchor] = target.split('#');
+      let resolved = urls.get(rel);
+      if (file) {
+        const from = file.startsWith('/') ? file.slice(1) : path.posix.join(path.posix.dirname(rel), file);
+        const key = path.posix.normalize(from).replace(/\/$/, '');
+        const candidates = [key, ...Object.keys(FORMATS).map((ext) => key + ext)];
+        for (const name of ['index', 'README', 'readme']) {
+          candidates.push(...Object.keys(FORMATS).map((ext) => path.posix.join(key, name + ext)));
+        }
+        resolved = candidates.map((c) => urls.get(c)).find(Boolean);
+        if (!resolved) return m;
+      }
+      return `[${text}](${resolved}${anchor ? `#${anchor}` : ''}${title})`;
+    })
+  );
+}
+
+export async function loadDocsDir(dirPath, options = {}) {
+  const resolved = path.resolve(dirPath);
+  const files = await listFiles(resolved, {
+    maxFiles: options.maxFiles || 1000,
+    accept: (name) => !!FORMATS[path.extname(name).toLowerCase()],
+  });
+
+  const urls = new Map(files.map(({ full, rel }) => [rel, pageUrl(full, rel, options.baseUrl)]));
+  const pages = [];
+
+  for (const { full, rel } of files) {
+    const raw = await fs.readFile(full, 'utf-8').catch(() => '');
+    const format = FORMATS[path.extname(full).toLowerCase()];
+    const { data, body } = splitFrontMatter(raw);
+
+    let markdown = rewriteLinks(toMarkdown(body, format), rel, urls).replace(/\n{3,}/g, '\n\n').trim();
+    const firstHeading = markdown.match(/^#\s+(.+)$/m)?.[1]?.trim();
+    const title = String(data.title || data.sidebar_label || firstHeading || humanize(rel));
+
+    if (!/^#\s/.test(markdown)) {
+      markdown = `# ${title}\n\n${data.description ? data.description + '\n\n' : ''}${markdown}`;
+    }
+    if (!markdown.replace(/^#.*$/m, '').trim()) continue;
+
+    pages.push({
+      url: urls.get(rel),
+      title,
+      content: markdown,
+      wordCount: markdown.split(/\s+/).length,
+      scrapedAt: new Date().toISOString(),
+      source: 'docs-dir',
+      sourcePath: rel,
+    });
+  }
+
+  return {
+    pageCount: pages.length,
+    pages,
+    scrapedAt: new Date().toISOString(),
+    baseUrl: options.baseUrl || resolved,
+    source: 'docs-dir',
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Local file discovery shared by the codebase and docs-dir loaders
+ * Walks a directory honoring nested .gitignore files
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import ignore from 'ignore';
+
+// Directory names skipped even without a .gitignore
+const IGNORE_DIRS = new Set([
+  'node_modules', '.git', 'dist', 'build', '__pycache__', '.next', 'vendor',
+  '.venv', 'venv', 'target', 'coverage',
+]);
+
+// Files larger than this are almost always generated or bundled
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// .gitignore files apply to paths relative to their own directory
+async function ignoreRules(dir, inherited) {
+  const file = path.join(dir, '.gitignore');
+  if (!(await fs.pathExists(file))) return inherited;
+  const rules = ignore().add(await fs.readFile(file, 'utf-8'));
+  return [...inherited, { base: dir, rules }];
+}
+
+function isIgnored(full, isDir, matchers) {
+  return matchers.some(({ base, rules }) => {
+    const rel = path.relative(base, full).split(path.sep).join('/');
+    return rules.ignores(isDir ? `${rel}/` : rel);
+  });
+}
+
+/**
+ * Files under `root` accepted by `accept(name)`, in stable (sorted) order,
+ * as { full, rel } with `rel` using forward slashes. Stops at `maxFiles`.
+ */
+export async function listFiles(root, { accept, maxFiles = Infinity }) {
+  const resolved = path.resolve(root);
+  if (!(await fs.pathExists(resolved))) {
+    throw new Error(`Path not found: ${resolved}`);
+  }
+
+  const files = [];
+
+  async function walk(dir, inherited) {
+    if (files.length >= maxFiles) return;
+    const matchers = await ignoreRules(dir, inherited);
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const ent of entries) {
+      if (files.length >= maxFiles) break;
+      const full = path.join(dir, ent.name);
+      if (ent.isDirectory()) {
+        if (IGNORE_DIRS.has(ent.name) || isIgnored(full, true, matchers)) continue;
+        await walk(full, matchers);
+        continue;
+      }
+
+      if (!accept(ent.name) || isIgnored(full, false, matchers)) continue;
+      const stat = await fs.stat(full).catch(() => null);
+      if (!stat || stat.size > MAX_FILE_BYTES) continue;
+
+      files.push({ full, rel: path.relative(resolved, full).split(path.sep).join('/') });
+    }
+  }
+
+  await walk(resolved, []);
+  return files;
+}
@@ -1,58 +1,402 @@
 /**
  * GraphQL schema loader
- * Converts GraphQL schema to doc-like format for context
+ * Converts a GraphQL schema (SDL file, introspection JSON, or a live
+ * endpoint queried via introspection) to doc-like format for context
  */
 
 import axios from 'axios';
 import fs from 'fs-extra';
+import {
+  astFromValue,
+  buildASTSchema,
+  buildClientSchema,
+  getIntrospectionQuery,
+  getNamedType,
+  isEnumType,
+  isInputObjectType,
+  isInterfaceType,
+  isIntrospectionType,
+  isLeafType,
+  isListType,
+  isNonNullType,
+  isObjectType,
+  isScalarType,
+  isSpecifiedDirective,
+  isSpecifiedScalarType,
+  isUnionType,
+  Kind,
+  parse,
+  print,
+  printType,
+} from 'graphql';
 
-export async function loadGraphQL(source) {
-  let schemaStr;
-  if (source.startsWith('http')) {
-    const res = await axios.get(source, { timeout: 10000 });
-    schemaStr = res.data;
-  } else {
-    schemaStr = await fs.readFile(source, 'utf-8');
+const SDL_EXTENSIONS = /\.(graphqls?|gql|sdl)(\?.*)?$/i;
+
+export const DEFAULT_SELECTION_DEPTH = 2;
+// Nesting of input objects mapped into tool JSON Schemas
+const MAX_INPUT_DEPTH = 5;
+
+function authHeaders({ authHeader, cookies } = {}) {
+  const headers = {};
+  if (authHeader) headers['Authorization'] = authHeader.replace(/^Authorization:\s*/i, '').trim();
+  if (cookies) headers['Cookie'] = cookies;
+  return headers;
+}
+
+/**
+ * Introspection result in any of the shapes tools emit:
+ * { data: { __schema } }, { __schema }
+ */
+function introspectionFrom(json) {
+  if (json?.data?.__schema) return json.data;
+  if (json?.__schema) return json;
+  return null;
+}
+
+async function introspectEndpoint(url, options) {
+  const res = await axios.post(
+    url,
+    { query: getIntrospectionQuery({ descriptions: true }), operationName: 'IntrospectionQuery' },
+    { timeout: 15000, headers: { 'Content-Type': 'application/json', ...authHeaders(options) } }
+  );
+  const result = introspectionFrom(res.data);
+  if (!result) {
+    const reason = res.data?.errors?.[0]?.message || 'no __schema in response';
+    throw new Error(`Introspection failed: ${reason}`);
   }
+  return result;
+}
 
-  const pages = [];
-  const lines = schemaStr.split('\n');
-
-  let currentBlock = '';
-  let currentName = '';
-  const blockTypes = ['type ', 'interface ', 'enum ', 'input ', 'scalar '];
-
-  for (const line of lines) {
-    for (const prefix of blockTypes) {
-      if (line.trim().startsWith(prefix)) {
-        if (currentBlock) {
-          pages.push(createPage(currentName, currentBlock));
-        }
-        const match = line.match(new RegExp(prefix + '([A-Za-z0-9_]+)'));
-        currentName = match ? match[1] : 'Unknown';
-        currentBlock = line + '\n';
-        break;
+/**
+ * Raw schema text or introspection result for a URL or path. URLs that do not
+ * look like schema files are treated as GraphQL endpoints and introspected.
+ */
+async function readSchemaSource(source, options) {
+  if (!source.startsWith('http')) {
+    return fs.readFile(source, 'utf-8');
+  }
+  if (SDL_EXTENSIONS.test(source) || /\.json(\?.*)?$/i.test(source)) {
+    const res = await axios.get(source, {
+      timeout: 10000,
+      headers: authHeaders(options),
+      responseType: 'text',
+    });
+    return res.data;
+  }
+  return introspectEndpoint(source, options);
+}
+
+/**
+ * Build a GraphQLSchema from SDL or introspection JSON. Returns the parsed
+ * document too so SDL that references undefined types (e.g. federation
+ * subgraphs) can still be documented per definition.
+ */
+function buildSchemaFrom(raw) {
+  if (typeof raw !== 'string') return { schema: buildClientSchema(raw) };
+
+  const trimmed = raw.trim();
+  if (trimmed.startsWith('{')) {
+    const result = introspectionFrom(JSON.parse(trimmed));
+    if (!result) throw new Error('JSON file is not a GraphQL introspection result');
+    return { schema: buildClientSchema(result) };
+  }
+
+  const document = parse(raw);
+  try {
+    return { schema: buildASTSchema(document, { assumeValidSDL: true }), document };
+  } catch {
+    return { schema: null, document };
+  }
+}
+
+function typeRef(type) {
+  return `\`${String(type)}\``;
+}
+
+function deprecation(item) {
+  return item.deprecationReason ? ` **Deprecated**: ${item.deprecationReason}` : '';
+}
+
+function defaultLiteral(arg) {
+  if (arg.defaultValue === undefined) return null;
+  const ast = astFromValue(arg.defaultValue, arg.type);
+  return ast ? print(ast) : JSON.stringify(arg.defaultValue);
+}
+
+function signature(field) {
+  if (!field.args.length) return `${field.name}: ${field.type}`;
+  const args = field.args.map((a) => {
+    const def = defaultLiteral(a) !== null ? ` = ${defaultLiteral(a)}` : '';
+    return `${a.name}: ${a.type}${def}`;
+  });
+  return `${field.name}(${args.join(', ')}): ${field.type}`;
+}
+
+function renderArgs(args) {
+  let out = '';
+  for (const a of args) {
+    const def = defaultLiteral(a) !== null ? `, default \`${defaultLiteral(a)}\`` : '';
+    out += `- **${a.name}** (${typeRef(a.type)}${def})${a.description ? `: ${a.description}` : ''}${deprecation(a)}\n`;
+  }
+  return out;
+}
+
+function renderFields(fields) {
+  let out = '';
+  for (const f of Object.values(fields)) {
+    const args = f.args?.length ? `(${f.args.map((a) => `${a.name}: ${a.type}`).join(', ')})` : '';
+    out += `- **${f.name}${args}** (${typeRef(f.type)})${f.description ? `: ${f.description}` : ''}${deprecation(f)}\n`;
+  }
+  return out;
+}
+
+/**
+ * Short description of a named type: fields, values or members
+ */
+function renderTypeSummary(type) {
+  if (isObjectType(type) || isInterfaceType(type) || isInputObjectType(type)) {
+    return renderFields(type.getFields());
+  }
+  if (isEnumType(type)) {
+    return type.getValues()
+      .map((v) => `- \`${v.name}\`${v.description ? `: ${v.description}` : ''}${deprecation(v)}\n`)
+      .join('');
+  }
+  if (isUnionType(type)) {
+    return type.getTypes().map((t) => `- \`${t.name}\`\n`).join('');
+  }
+  return '';
+}
+
+function rootFieldPage(source, operation, field) {
+  const title = `${operation}.${field.name}`;
+  let content = `## ${title}\n\n`;
+  if (field.description) content += field.description + '\n\n';
+  if (field.deprecationReason) content += `**Deprecated**: ${field.deprecationReason}\n\n`;
+  content += '```graphql\n' + signature(field) + '\n```\n\n';
+
+  if (field.args.length) {
+    content += '### Arguments\n\n' + renderArgs(field.args) + '\n';
+    for (const a of field.args) {
+      const named = getNamedType(a.type);
+      if (isInputObjectType(named) || isEnumType(named)) {
+        content += `#### ${named.name}\n\n` + renderTypeSummary(named) + '\n';
       }
     }
-    if (!blockTypes.some((p) => line.trim().startsWith(p))) {
-      currentBlock += line + '\n';
+  }
+
+  const returned = getNamedType(field.type);
+  content += `### Returns\n\n${typeRef(field.type)}`;
+  content += returned.description ? `: ${returned.description}\n\n` : '\n\n';
+  const summary = renderTypeSummary(returned);
+  if (summary) content += summary + '\n';
+
+  return createPage(source, title, content);
+}
+
+function typeKind(type) {
+  if (isObjectType(type)) return 'type';
+  if (isInterfaceType(type)) return 'interface';
+  if (isUnionType(type)) return 'union';
+  if (isEnumType(type)) return 'enum';
+  if (isInputObjectType(type)) return 'input';
+  return 'scalar';
+}
+
+function typePage(source, type) {
+  let content = `## ${typeKind(type)} ${type.name}\n\n`;
+  if (type.description) content += type.description + '\n\n';
+  if ((isObjectType(type) || isInterfaceType(type)) && type.getInterfaces().length) {
+    content += `Implements: ${type.getInterfaces().map((i) => i.name).join(', ')}\n\n`;
+  }
+  const summary = renderTypeSummary(type);
+  if (summary) content += summary + '\n';
+  content += '```graphql\n' + printType(type) + '\n```\n';
+  return createPage(source, `${typeKind(type)} ${type.name}`, content);
+}
+
+function schemaPages(source, schema) {
+  const pages = [];
+  const roots = [
+    ['Query', schema.getQueryType()],
+    ['Mutation', schema.getMutationType()],
+    ['Subscription', schema.getSubscriptionType()],
+  ];
+
+  for (const [operation, root] of roots) {
+    if (!root) continue;
+    for (const field of Object.values(root.getFields())) {
+      pages.push(rootFieldPage(source, operation, field));
+    }
+  }
+
+  const rootTypes = new Set(roots.map(([, t]) => t).filter(Boolean));
+  for (const type of Object.values(schema.getTypeMap())) {
+    if (rootTypes.has(type) || isIntrospectionType(type)) continue;
+    if (isScalarType(type) && isSpecifiedScalarType(type)) continue;
+    pages.push(typePage(source, type));
+  }
+
+  const directives = schema.getDirectives().filter((d) => !isSpecifiedDirective(d));
+  if (directives.length) {
+    let content = '## Directives\n\n';
+    for (const d of directives) {
+      content += `### @${d.name}\n\n`;
+      if (d.description) content += d.description + '\n\n';
+      content += `Locations: ${d.locations.join(', ')}\n\n`;
+      if (d.args.length) content += renderArgs(d.args) + '\n';
     }
+    pages.push(createPage(source, 'Directives', content));
   }
-  if (currentBlock) {
-    pages.push(createPage(currentName, currentBlock));
+
+  return pages;
+}
+
+const ROOT_TYPE_NAMES = ['Query', 'Mutation', 'Subscription'];
+
+/**
+ * Fallback when the SDL cannot be built into a schema: one page per root
+ * field and per other definition, printed as-is.
+ */
+function definitionPages(source, document) {
+  const pages = [];
+  for (const def of document.definitions) {
+    const name = def.name?.value || (def.kind === Kind.SCHEMA_DEFINITION ? 'schema' : def.kind);
+
+    if (ROOT_TYPE_NAMES.includes(name) && def.fields) {
+      for (const field of def.fields) {
+        const title = `${name}.${field.name.value}`;
+        let content = `## ${title}\n\n`;
+        if (field.description) content += field.description.value + '\n\n';
+        content += '```graphql\n' + print({ ...field, description: undefined }) + '\n```\n';
+        pages.push(createPage(source, title, content));
+      }
+      continue;
+    }
+
+    let content = `## ${name}\n\n`;
+    if (def.description) content += def.description.value + '\n\n';
+    content += '```graphql\n' + print(def) + '\n```\n';
+    pages.push(createPage(source, name, content));
   }
+  return pages;
+}
 
-  // If no structured blocks, treat whole schema as one page
-  if (pages.length === 0 && schemaStr.trim()) {
-    pages.push({
-      url: source,
-      title: 'GraphQL Schema',
-      content: schemaStr,
-      wordCount: schemaStr.split(/\s+/).length,
-      scrapedAt: new Date().toISOString(),
-      source: 'graphql',
-    });
+const SCALAR_SCHEMAS = {
+  Int: { type: 'integer' },
+  Float: { type: 'number' },
+  String: { type: 'string' },
+  ID: { type: 'string' },
+  Boolean: { type: 'boolean' },
+};
+
+/**
+ * JSON Schema for a GraphQL input type (nullability handled by the caller)
+ */
+function inputSchema(type, depth = 0) {
+  if (isNonNullType(type)) return inputSchema(type.ofType, depth);
+  if (isListType(type)) return { type: 'array', items: inputSchema(type.ofType, depth) };
+  if (isEnumType(type)) {
+    return { type: 'string', enum: type.getValues().map((v) => v.name) };
   }
+  if (isInputObjectType(type)) {
+    if (depth >= MAX_INPUT_DEPTH) return { type: 'object', description: type.name };
+    return objectSchema(Object.values(type.getFields()), depth + 1);
+  }
+  return SCALAR_SCHEMAS[type.name] || { description: `${type.name} scalar` };
+}
+
+function objectSchema(args, depth) {
+  const properties = {};
+  const required = [];
+  for (const a of args) {
+    properties[a.name] = { ...inputSchema(a.type, depth) };
+    if (a.description) properties[a.name].description = a.description;
+    if (isNonNullType(a.type) && a.defaultValue === undefined) required.push(a.name);
+  }
+  return { type: 'object', properties, required };
+}
+
+function hasRequiredArgs(field) {
+  return field.args.some((a) => isNonNullType(a.type) && a.defaultValue === undefined);
+}
+
+/**
+ * Selection set for a type: leaf fields always, object fields while depth
+ * remains. Fields needing arguments are skipped; empty selections fall back
+ * to __typename so the document stays valid.
+ */
+function selectionSet(type, depth) {
+  const named = getNamedType(type);
+  if (isLeafType(named)) return '';
+
+  const parts = [];
+  if (isUnionType(named)) {
+    parts.push('__typename');
+    for (const member of named.getTypes()) {
+      const inner = selectionSet(member, depth);
+      if (inner) parts.push(`... on ${member.name} ${inner}`);
+    }
+  } else {
+    for (const field of Object.values(named.getFields())) {
+      if (hasRequiredArgs(field)) continue;
+      if (isLeafType(getNamedType(field.type))) {
+        parts.push(field.name);
+      } else if (depth > 1) {
+        const inner = selectionSet(field.type, depth - 1);
+        if (inner && inner !== '{ __typename }') parts.push(`${field.name} ${inner}`);
+      }
+    }
+    if (parts.length === 0) parts.push('__typename');
+  }
+  return `{ ${parts.join(' ')} }`;
+}
+
+/**
+ * One callable operation per Query and Mutation root field: a ready-made
+ * document selecting fields up to `depth` levels, and a JSON Schema for its
+ * arguments (passed as variables).
+ */
+export function extractOperations(schema, { depth = DEFAULT_SELECTION_DEPTH } = {}) {
+  const operations = [];
+  const roots = [
+    ['query', schema.getQueryType()],
+    ['mutation', schema.getMutationType()],
+  ];
+
+  for (const [kind, root] of roots) {
+    if (!root) continue;
+    for (const field of Object.values(root.getFields())) {
+      const name = `${kind}_${field.name}`.slice(0, 64);
+      const variables = field.args.map((a) => {
+        const def = defaultLiteral(a) !== null ? ` = ${defaultLiteral(a)}` : '';
+        return `$${a.name}: ${a.type}${def}`;
+      });
+      const args = field.args.map((a) => `${a.name}: $${a.name}`);
+      const opName = field.name.charAt(0).toUpperCase() + field.name.slice(1);
+      const document = `${kind} ${opName}${variables.length ? `(${variables.join(', ')})` : ''} ` +
+        `{ ${field.name}${args.length ? `(${args.join(', ')})` : ''}` +
+        `${selectionSet(field.type, depth) ? ' ' + selectionSet(field.type, depth) : ''} }`;
+
+      operations.push({
+        name,
+        kind,
+        field: field.name,
+        description: field.description || `GraphQL ${kind} ${field.name}: ${field.type}`,
+        document,
+        inputSchema: objectSchema(field.args, 0),
+      });
+    }
+  }
+
+  return operations;
+}
+
+export async function loadGraphQL(source, options = {}) {
+  const raw = await readSchemaSource(source, options);
+  const { schema, document } = buildSchemaFrom(raw);
+  const pages = schema ? schemaPages(source, schema) : definitionPages(source, document);
+  const introspected = source.startsWith('http') && typeof raw !== 'string';
 
   return {
     pageCount: pages.length,
@@ -60,13 +404,20 @@ export async function loadGraphQL(source) {
     scrapedAt: new Date().toISOString(),
     baseUrl: source,
     source: 'graphql',
+    api: schema ? {
+      type: 'graphql',
+      title: 'GraphQL API',
+      baseUrl: options.endpoint || (introspected ? source : ''),
+      allowMutations: options.allowMutations || [],
+      operations: extractOperations(schema, { depth: options.depth }),
+    } : undefined,
   };
 }
 
-function createPage(name, content) {
+function createPage(source, title, content) {
   return {
-    url: 'schema',
-    title: name,
+    url: source,
+    title,
     content,
     wordCount: content.split(/\s+/).length,
     scrapedAt: new Date().toISOString(),
@@ -1,12 +1,23 @@
 /**
  * OpenAPI/Swagger schema loader
- * Converts OpenAPI spec to doc-like format for context
+ * Converts OpenAPI 3.x / Swagger 2.0 specs to doc-like format for context
  */
 
 import axios from 'axios';
 import fs from 'fs-extra';
+import path from 'path';
 import yaml from 'js-yaml';
 
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Ref chains deeper than this are left as a named placeholder
+const MAX_REF_DEPTH = 8;
+// $refs inlined per resolve() call; later ones are left as named placeholders
+const MAX_INLINED_REFS = 100;
+// Nesting rendered in docs; deeper properties are summarized by type
+const MAX_RENDER_DEPTH = 4;
+const MAX_EXAMPLE_CHARS = 2000;
+
 function parseSpec(raw) {
   try {
     return JSON.parse(raw);
@@ -19,81 +30,637 @@ function parseSpec(raw) {
   }
 }
 
-export async function loadOpenAPI(source) {
-  let spec;
-  if (source.startsWith('http')) {
+function isRemote(location) {
+  return /^https?:\/\//.test(location);
+}
+
+export async function readSpec(source) {
+  if (isRemote(source)) {
     const res = await axios.get(source, { timeout: 10000 });
-    spec = typeof res.data === 'string' ? parseSpec(res.data) : res.data;
-  } else {
-    const raw = await fs.readFile(source, 'utf-8');
-    spec = parseSpec(raw);
+    return typeof res.data === 'string' ? parseSpec(res.data) : res.data;
   }
+  const raw = await fs.readFile(source, 'utf-8');
+  return parseSpec(raw);
+}
 
-  const pages = [];
-  const info = spec.info || {};
-  const baseTitle = info.title || 'API';
+function resolveLocation(base, file) {
+  if (isRemote(file)) return file;
+  if (isRemote(base)) return new URL(file, base).href;
+  return path.resolve(path.dirname(base), file);
+}
 
-  // Paths
-  const paths = spec.paths || {};
-  for (const [pathStr, methods] of Object.entries(paths)) {
-    for (const [method, op] of Object.entries(methods)) {
-      if (['get', 'post', 'put', 'patch', 'delete'].includes(method) && op) {
-        const summary = op.summary || op.operationId || `${method.toUpperCase()} ${pathStr}`;
-        let content = `## ${method.toUpperCase()} ${pathStr}\n\n`;
-        content += (op.description || '') + '\n\n';
-        if (op.parameters?.length) {
-          content += '### Parameters\n\n';
-          for (const p of op.parameters) {
-            content += `- **${p.name}** (${p.in}): ${p.description || ''} ${p.required ? '(required)' : ''}\n`;
-          }
-        }
-        if (op.requestBody) {
-          content += '\n### Request Body\n\n' + (op.requestBody.description || '') + '\n';
-        }
-        if (op.responses) {
-          content += '\n### Responses\n\n';
-          for (const [code, res] of Object.entries(op.responses)) {
-            content += `- ${code}: ${res.description || ''}\n`;
-          }
-        }
-        pages.push({
-          url: source,
-          title: summary,
-          content,
-          wordCount: content.split(/\s+/).length,
-          scrapedAt: new Date().toISOString(),
-          source: 'openapi',
-        });
+function collectRefs(node, refs = new Set()) {
+  if (!node || typeof node !== 'object') return refs;
+  if (typeof node.$ref === 'string') refs.add(node.$ref);
+  for (const value of Object.values(node)) collectRefs(value, refs);
+  return refs;
+}
+
+/**
+ * Load the spec and every document it references externally
+ * ("./common.yaml#/Pet", "https://example.com/schemas.json"), keyed by
+ * location. Documents that fail to load are stored as null.
+ */
+async function loadDocuments(source) {
+  const root = isRemote(source) ? source : path.resolve(source);
+  const docs = new Map([[root, await readSpec(root)]]);
+  const queue = [root];
+
+  while (queue.length > 0) {
+    const location = queue.shift();
+    for (const ref of collectRefs(docs.get(location))) {
+      const file = ref.split('#')[0];
+      if (!file) continue;
+      const next = resolveLocation(location, file);
+      if (docs.has(next)) continue;
+      docs.set(next, await readSpec(next).catch(() => null));
+      queue.push(next);
+    }
+  }
+
+  return { root, docs };
+}
+
+function refName(pointer) {
+  return pointerSegment(pointer.split('/').pop() || '') || 'schema';
+}
+
+/**
+ * JSON pointer segment from a $ref fragment. Only valid %XX escapes are
+ * decoded; a bare % (e.g. #/components/schemas/100%Off) is kept as-is.
+ */
+function pointerSegment(segment) {
+  return segment
+    .replace(/(%[0-9a-f]{2})+/gi, (escapes) => {
+      try {
+        return decodeURIComponent(escapes);
+      } catch {
+        return escapes;
+      }
+    })
+    .replace(/~1/g, '/')
+    .replace(/~0/g, '~');
+}
+
+/**
+ * Returns resolve(node): a copy of node with its $refs (local or external)
+ * inlined. A named schema (components/schemas, definitions, whole external
+ * files) is inlined only the first time it appears within one resolve()
+ * call; repeats, cycles, overly deep chains and refs beyond
+ * MAX_INLINED_REFS become { title, description: 'See Schema: X', 'x-ref' }
+ * placeholders, so the result stays linear in the size of the spec.
+ * Other refs (parameters, responses, ...) are memoized per call.
+ */
+function createResolver({ root, docs }) {
+  function lookup(doc, pointer) {
+    return pointer
+      .split('/')
+      .filter(Boolean)
+      .reduce((o, k) => o?.[pointerSegment(k)], doc);
+  }
+
+  function placeholder(name, circular) {
+    return { title: name, description: `See Schema: ${name}`, 'x-ref': name, ...(circular && { 'x-circular': true }) };
+  }
+
+  function resolveNode(node, location, state) {
+    if (!node || typeof node !== 'object') return node;
+    if (Array.isArray(node)) return node.map((n) => resolveNode(n, location, state));
+
+    if (typeof node.$ref === 'string') {
+      const { $ref, ...siblings } = node;
+      const [file, pointer = ''] = $ref.split('#');
+      const target = file ? resolveLocation(location, file) : location;
+      const key = `${target}#${pointer}`;
+      const name = refName(pointer || file);
+      const named = /\/(schemas|definitions)\//.test(pointer) || (!!file && !pointer);
+      const withSiblings = (value) =>
+        Object.keys(siblings).length ? { ...value, ...resolveNode(siblings, location, state) } : value;
+
+      if (state.stack.includes(key)) return withSiblings(placeholder(name, true));
+      if (!named && state.memo.has(key)) return withSiblings(state.memo.get(key));
+      if (state.stack.length >= MAX_REF_DEPTH || state.inlined >= MAX_INLINED_REFS || state.seen.has(key)) {
+        return withSiblings(placeholder(name, false));
+      }
+      const value = lookup(docs.get(target), pointer);
+      if (value === undefined) {
+        return { description: `Unresolved reference: ${$ref}` };
       }
+
+      state.inlined++;
+      if (named) state.seen.add(key);
+      state.stack.push(key);
+      const resolved = resolveNode(value, target, state);
+      state.stack.pop();
+
+      const titled = named && /\/(schemas|definitions)\//.test(pointer) && resolved && !resolved.title
+        ? { title: name, ...resolved }
+        : resolved;
+      if (!named) state.memo.set(key, titled);
+      return withSiblings(titled);
     }
+
+    const out = {};
+    for (const [k, v] of Object.entries(node)) out[k] = resolveNode(v, location, state);
+    return out;
   }
 
-  // Components/schemas
-  const schemas = spec.components?.schemas || {};
-  for (const [name, schema] of Object.entries(schemas)) {
-    let content = `## Schema: ${name}\n\n`;
-    content += (schema.description || '') + '\n\n';
-    if (schema.properties) {
-      content += '### Properties\n\n';
-      for (const [prop, def] of Object.entries(schema.properties)) {
-        content += `- **${prop}** (${def.type || ''}): ${def.description || ''}\n`;
+  return (node, location = root) =>
+    resolveNode(node, location, { stack: [], seen: new Set(), memo: new Map(), inlined: 0 });
+}
+
+/**
+ * Merge allOf members into one object schema (properties + required)
+ */
+function mergeAllOf(schema) {
+  if (!schema?.allOf) return schema || {};
+  const { allOf, ...rest } = schema;
+  const merged = { ...rest, properties: { ...(rest.properties || {}) }, required: [...(rest.required || [])] };
+  for (const part of allOf.map(mergeAllOf)) {
+    Object.assign(merged.properties, part.properties || {});
+    merged.required.push(...(part.required || []));
+    merged.type ||= part.type;
+    merged.description ||= part.description;
+  }
+  if (Object.keys(merged.properties).length === 0) delete merged.properties;
+  return merged;
+}
+
+function primaryType(schema) {
+  const type = Array.isArray(schema.type) ? schema.type.find((t) => t !== 'null') : schema.type;
+  if (type) return type;
+  if (schema.properties || schema.additionalProperties) return 'object';
+  if (schema.items) return 'array';
+  return undefined;
+}
+
+function typeLabel(schema) {
+  const s = mergeAllOf(schema);
+  if (s['x-ref']) return s.title;
+  const variants = s.oneOf || s.anyOf;
+  if (variants) return variants.map(typeLabel).join(' | ');
+  const type = primaryType(s);
+  if (type === 'array') return `array<${s.items ? typeLabel(s.items) : 'any'}>`;
+  const label = type === 'object' && s.title ? s.title : type || s.title || 'any';
+  const nullable = s.nullable || (Array.isArray(s.type) && s.type.includes('null'));
+  return (s.format ? `${label}, ${s.format}` : label) + (nullable ? ', nullable' : '');
+}
+
+function constraints(schema) {
+  const notes = [];
+  if (schema.enum) notes.push(`One of: ${schema.enum.map((v) => `\`${JSON.stringify(v)}\``).join(', ')}`);
+  if (schema.default !== undefined) notes.push(`Default: \`${JSON.stringify(schema.default)}\``);
+  if (schema.minimum !== undefined) notes.push(`Min: ${schema.minimum}`);
+  if (schema.maximum !== undefined) notes.push(`Max: ${schema.maximum}`);
+  if (schema.minLength !== undefined) notes.push(`Min length: ${schema.minLength}`);
+  if (schema.maxLength !== undefined) notes.push(`Max length: ${schema.maxLength}`);
+  if (schema.pattern) notes.push(`Pattern: \`${schema.pattern}\``);
+  if (schema.readOnly) notes.push('Read-only');
+  if (schema.writeOnly) notes.push('Write-only');
+  if (schema.deprecated) notes.push('Deprecated');
+  return notes.join('. ');
+}
+
+/**
+ * Nested markdown bullet list of an object schema's properties
+ */
+function renderSchema(schema, indent = '', depth = 0) {
+  const s = mergeAllOf(schema);
+  if (depth >= MAX_RENDER_DEPTH || s['x-ref']) return '';
+
+  if (primaryType(s) === 'array' && s.items) return renderSchema(s.items, indent, depth);
+
+  const variants = s.oneOf || s.anyOf;
+  if (variants) {
+    return variants
+      .map((v, i) => {
+        const nested = renderSchema(v, indent + '  ', depth + 1);
+        return `${indent}- Option ${i + 1} (${typeLabel(v)})\n${nested}`;
+      })
+      .join('');
+  }
+
+  const required = new Set(s.required || []);
+  let out = '';
+  for (const [name, raw] of Object.entries(s.properties || {})) {
+    const prop = mergeAllOf(raw);
+    const details = [prop.description, constraints(prop)].filter(Boolean).join(' ');
+    out += `${indent}- **${name}** (${typeLabel(prop)})${required.has(name) ? ' required' : ''}`;
+    out += details ? `: ${details.replace(/\s*\n\s*/g, ' ')}\n` : '\n';
+    out += renderSchema(prop, indent + '  ', depth + 1);
+  }
+  if (s.additionalProperties && typeof s.additionalProperties === 'object') {
+    out += `${indent}- *additional properties* (${typeLabel(s.additionalProperties)})\n`;
+  }
+  return out;
+}
+
+const FORMAT_EXAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  email: 'user@example.com',
+  uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  ipv4: '192.0.2.1',
+};
+
+/**
+ * Example value from the schema's own example/default/enum, else
+ * synthesized from its type and format.
+ */
+function exampleFor(schema, depth = 0) {
+  const s = mergeAllOf(schema);
+  if (s.example !== undefined) return s.example;
+  if (Array.isArray(s.examples) && s.examples.length > 0) return s.examples[0];
+  if (s.default !== undefined) return s.default;
+  if (s.enum?.length) return s.enum[0];
+  if (s['x-ref'] || depth > MAX_RENDER_DEPTH) return {};
+  if (s.oneOf || s.anyOf) return exampleFor((s.oneOf || s.anyOf)[0], depth + 1);
+
+  switch (primaryType(s)) {
+    case 'object': {
+      const out = {};
+      for (const [name, prop] of Object.entries(s.properties || {})) {
+        if (!prop.readOnly || depth > 0) out[name] = exampleFor(prop, depth + 1);
       }
+      return out;
     }
-    pages.push({
-      url: source,
-      title: `Schema: ${name}`,
-      content,
-      wordCount: content.split(/\s+/).length,
-      scrapedAt: new Date().toISOString(),
-      source: 'openapi',
+    case 'array':
+      return s.items ? [exampleFor(s.items, depth + 1)] : [];
+    case 'string':
+      return FORMAT_EXAMPLES[s.format] || 'string';
+    case 'integer':
+    case 'number':
+      return 0;
+    case 'boolean':
+      return true;
+    default:
+      return null;
+  }
+}
+
+function renderExample(value) {
+  let json = JSON.stringify(value, null, 2);
+  if (json === undefined) return '';
+  if (json.length > MAX_EXAMPLE_CHARS) json = json.slice(0, MAX_EXAMPLE_CHARS) + '\n...';
+  return 'Example:\n\n```json\n' + json + '\n```\n';
+}
+
+function pickMediaType(content = {}) {
+  const types = Object.keys(content);
+  const type = types.find((t) => t === 'application/json')
+    || types.find((t) => /[/+]json\b/.test(t))
+    || types[0];
+  return type ? { type, ...content[type] } : null;
+}
+
+function mediaExample(media) {
+  if (media.example !== undefined) return media.example;
+  const first = Object.values(media.examples || {})[0];
+  if (first?.value !== undefined) return first.value;
+  return media.schema ? exampleFor(media.schema) : undefined;
+}
+
+/**
+ * Swagger 2.0 parameters carry type/format/enum inline instead of a schema
+ */
+function parameterSchema(p) {
+  if (p.schema) return p.schema;
+  const { name, in: _in, description, required, ...rest } = p;
+  return { type: 'string', ...rest };
+}
+
+/**
+ * Path-level parameters overridden by operation-level ones (same name + in)
+ */
+function mergeParameters(pathParams = [], opParams = []) {
+  const byKey = new Map();
+  for (const p of [...pathParams, ...opParams]) {
+    if (p?.name) byKey.set(`${p.in}:${p.name}`, p);
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Request body as { mediaType, schema, required, description, example }.
+ * Swagger 2.0 uses an `in: body` parameter instead of requestBody.
+ */
+function requestBodyOf(op, parameters) {
+  if (op.requestBody) {
+    const media = pickMediaType(op.requestBody.content);
+    if (!media) return null;
+    return {
+      mediaType: media.type,
+      schema: media.schema,
+      required: !!op.requestBody.required,
+      description: op.requestBody.description,
+      example: mediaExample(media),
+    };
+  }
+  const body = parameters.find((p) => p.in === 'body');
+  if (!body) return null;
+  return {
+    mediaType: op.consumes?.[0] || 'application/json',
+    schema: body.schema,
+    required: !!body.required,
+    description: body.description,
+    example: body.schema ? exampleFor(body.schema) : undefined,
+  };
+}
+
+function responseBodyOf(res, produces) {
+  if (res.content) {
+    const media = pickMediaType(res.content);
+    return media && { mediaType: media.type, schema: media.schema, example: mediaExample(media) };
+  }
+  if (res.schema) {
+    const mediaType = produces?.[0] || 'application/json';
+    const example = res.examples?.[mediaType] ?? exampleFor(res.schema);
+    return { mediaType, schema: res.schema, example };
+  }
+  return null;
+}
+
+function securitySchemesOf(spec) {
+  return spec.components?.securitySchemes || spec.securityDefinitions || {};
+}
+
+function componentSchemas(spec) {
+  if (spec.components?.schemas) return ['#/components/schemas/', spec.components.schemas];
+  return ['#/definitions/', spec.definitions || {}];
+}
+
+/**
+ * Server URLs with variables substituted by their defaults. Swagger 2.0
+ * specs are converted from host + basePath + schemes.
+ */
+function serverUrls(spec, source) {
+  let servers = spec.servers || [];
+  if (spec.swagger && spec.host) {
+    const scheme = spec.schemes?.includes('https') ? 'https' : spec.schemes?.[0] || 'https';
+    servers = [{ url: `${scheme}://${spec.host}${spec.basePath || ''}` }];
+  } else if (spec.swagger && spec.basePath) {
+    servers = [{ url: spec.basePath }];
+  }
+
+  return servers.map((server) => {
+    let url = String(server.url || '').replace(/\{([^}]+)\}/g, (m, name) =>
+      server.variables?.[name]?.default ?? m
+    );
+    if (!/^[a-z]+:\/\//i.test(url) && isRemote(source)) url = new URL(url, source).href;
+    return { url, description: server.description || '' };
+  });
+}
+
+function describeScheme(name, s) {
+  const type = String(s.type || '');
+  if (type === 'http' || type === 'basic') {
+    const scheme = type === 'basic' ? 'basic' : s.scheme;
+    return `- **${name}**: HTTP ${scheme}${s.bearerFormat ? ` (${s.bearerFormat})` : ''}`;
+  }
+  if (type === 'apiKey') return `- **${name}**: API key in ${s.in} \`${s.name}\``;
+  if (type === 'oauth2') {
+    const flows = s.flows ? Object.keys(s.flows).join(', ') : s.flow;
+    return `- **${name}**: OAuth 2.0 (${flows || 'unspecified flow'})`;
+  }
+  if (type === 'openIdConnect') return `- **${name}**: OpenID Connect (${s.openIdConnectUrl || ''})`;
+  return `- **${name}**: ${type}`;
+}
+
+function describeAuth(spec, resolve) {
+  const schemes = resolve(securitySchemesOf(spec));
+  // Prefer schemes the spec actually requires globally
+  const required = (spec.security || []).flatMap((req) => Object.keys(req));
+  const ordered = [...new Set([...required, ...Object.keys(schemes)])];
+
+  for (const name of ordered) {
+    const s = schemes[name];
+    if (!s) continue;
+    const scheme = s.scheme?.toLowerCase();
+    if (s.type === 'http' && scheme === 'bearer') return { type: 'bearer' };
+    if ((s.type === 'http' && scheme === 'basic') || s.type === 'basic') return { type: 'basic' };
+    if (s.type === 'apiKey') return { type: 'apiKey', in: s.in, name: s.name };
+    if (s.type === 'oauth2' || s.type === 'openIdConnect') return { type: 'bearer' };
+  }
+  return { type: 'none' };
+}
+
+function toolName(op, method, pathStr) {
+  const raw = op.operationId || `${method}_${pathStr}`;
+  return raw.replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 64);
+}
+
+/**
+ * An operation with its parameters, request body and responses resolved
+ * separately, so a schema shared by the request and a response is inlined
+ * in both rather than shown by name in the second
+ */
+function resolveOperation(rawOp, resolve) {
+  const { requestBody, responses, ...rest } = rawOp;
+  return { ...resolve(rest), requestBody: resolve(requestBody), responses: resolve(responses) };
+}
+
+/**
+ * Every path + method with path-level parameters merged in, resolved
+ */
+function collectOperations(spec, resolve) {
+  const operations = [];
+  for (const [pathStr, rawItem] of Object.entries(spec.paths || {})) {
+    const item = (rawItem?.$ref ? resolve(rawItem) : rawItem) || {};
+    for (const method of HTTP_METHODS) {
+      if (!item[method]) continue;
+      const op = resolveOperation(item[method], resolve);
+      operations.push({
+        method,
+        pathStr,
+        op,
+        parameters: mergeParameters(resolve(item.parameters), op.parameters),
+      });
+    }
+  }
+  return operations;
+}
+
+/**
+ * One callable operation per path + method, with a JSON Schema for its
+ * parameters (path/query/header) and JSON request body.
+ */
+export function extractOperations(spec, resolve = createResolver({ root: '', docs: new Map([['', spec]]) })) {
+  const operations = [];
+  const used = new Set();
+
+  for (const { method, pathStr, op, parameters: allParams } of collectOperations(spec, resolve)) {
+    let name = toolName(op, method, pathStr);
+    for (let i = 2; used.has(name); i++) name = `${toolName(op, method, pathStr).slice(0, 60)}_${i}`;
+    used.add(name);
+
+    const properties = {};
+    const required = [];
+    const parameters = [];
+    for (const p of allParams) {
+      if (!['path', 'query', 'header'].includes(p.in)) continue;
+      parameters.push({ name: p.name, in: p.in });
+      properties[p.name] = {
+        ...parameterSchema(p),
+        description: p.description || `${p.in} parameter`,
+      };
+      if (p.required || p.in === 'path') required.push(p.name);
+    }
+
+    const body = requestBodyOf(op, allParams);
+    const jsonBody = body && /json/.test(body.mediaType) ? body.schema : null;
+    if (jsonBody) {
+      properties.body = { ...jsonBody, description: body.description || 'JSON request body' };
+      if (body.required) required.push('body');
+    }
+
+    operations.push({
+      name,
+      method: method.toUpperCase(),
+      path: pathStr,
+      description: [op.summary, op.description].filter(Boolean).join('\n\n') || `${method.toUpperCase()} ${pathStr}`,
+      parameters,
+      hasBody: !!jsonBody,
+      inputSchema: { type: 'object', properties, required: [...new Set(required)] },
     });
   }
 
+  return operations;
+}
+
+function operationPage(spec, { method, pathStr, op, parameters }) {
+  const produces = op.produces || spec.produces;
+  let content = `## ${method.toUpperCase()} ${pathStr}\n\n`;
+  for (const text of [op.summary, op.description]) {
+    if (text) content += text + '\n\n';
+  }
+  if (op.operationId) content += `Operation ID: \`${op.operationId}\`\n\n`;
+  if (op.deprecated) content += '**Deprecated**\n\n';
+
+  const security = op.security || spec.security;
+  if (security) {
+    const names = [...new Set(security.flatMap((req) => Object.keys(req)))];
+    content += names.length ? `Authentication: ${names.join(', ')}\n\n` : 'Authentication: none\n\n';
+  }
+
+  const params = parameters.filter((p) => p.in !== 'body');
+  if (params.length) {
+    content += '### Parameters\n\n';
+    for (const p of params) {
+      const schema = parameterSchema(p);
+      const details = [p.description, constraints(schema)].filter(Boolean).join(' ');
+      content += `- **${p.name}** (${p.in}, ${typeLabel(schema)})${p.required ? ' required' : ''}`;
+      content += details ? `: ${details.replace(/\s*\n\s*/g, ' ')}\n` : '\n';
+    }
+    content += '\n';
+  }
+
+  const body = requestBodyOf(op, parameters);
+  if (body) {
+    content += '### Request Body\n\n';
+    content += `\`${body.mediaType}\`${body.required ? ' (required)' : ''}`;
+    content += body.schema ? ` - ${typeLabel(body.schema)}\n\n` : '\n\n';
+    if (body.description) content += body.description + '\n\n';
+    if (body.schema) content += renderSchema(body.schema) + '\n';
+    if (body.example !== undefined) content += renderExample(body.example) + '\n';
+  }
+
+  if (op.responses) {
+    content += '### Responses\n\n';
+    for (const [code, res] of Object.entries(op.responses)) {
+      content += `#### ${code}${res.description ? ` - ${res.description}` : ''}\n\n`;
+      const resBody = responseBodyOf(res, produces);
+      if (!resBody) continue;
+      content += `\`${resBody.mediaType}\`${resBody.schema ? ` - ${typeLabel(resBody.schema)}` : ''}\n\n`;
+      if (resBody.schema) content += renderSchema(resBody.schema) + '\n';
+      if (resBody.example !== undefined) content += renderExample(resBody.example) + '\n';
+    }
+  }
+
+  return content;
+}
+
+function overviewPage(spec, source, resolve) {
+  const info = spec.info || {};
+  let content = `## ${info.title || 'API'}${info.version ? ` (v${info.version})` : ''}\n\n`;
+  if (info.description) content += info.description + '\n\n';
+
+  const servers = serverUrls(spec, source);
+  if (servers.length) {
+    content += '### Servers\n\n';
+    for (const s of servers) content += `- ${s.url}${s.description ? ` - ${s.description}` : ''}\n`;
+    content += '\n';
+  }
+
+  const schemes = resolve(securitySchemesOf(spec));
+  if (Object.keys(schemes).length) {
+    content += '### Authentication\n\n';
+    for (const [name, s] of Object.entries(schemes)) {
+      content += describeScheme(name, s) + (s.description ? `: ${s.description}` : '') + '\n';
+    }
+  }
+  return content;
+}
+
+function makePage(source, title, content) {
+  return {
+    url: source,
+    title,
+    content,
+    wordCount: content.split(/\s+/).length,
+    scrapedAt: new Date().toISOString(),
+    source: 'openapi',
+  };
+}
+
+export async function loadOpenAPI(source) {
+  const documents = await loadDocuments(source);
+  const spec = documents.docs.get(documents.root);
+  const resolve = createResolver(documents);
+
+  const pages = [];
+  const info = spec.info || {};
+  const baseTitle = info.title || 'API';
+
+  pages.push(makePage(source, `${baseTitle} Overview`, overviewPage(spec, source, resolve)));
+
+  // Paths
+  const operations = collectOperations(spec, resolve);
+  for (const operation of operations) {
+    const { method, pathStr, op } = operation;
+    const summary = op.summary || op.operationId || `${method.toUpperCase()} ${pathStr}`;
+    pages.push(makePage(source, summary, operationPage(spec, operation)));
+  }
+
+  // Components/schemas (definitions in Swagger 2.0)
+  const [prefix, schemas] = componentSchemas(spec);
+  for (const name of Object.keys(schemas)) {
+    const schema = resolve({ $ref: prefix + name.replace(/~/g, '~0').replace(/\//g, '~1').replace(/%/g, '%25') });
+    let content = `## Schema: ${name}\n\n`;
+    if (schema.description) content += schema.description + '\n\n';
+    content += `Type: ${typeLabel(schema)}\n\n`;
+    const properties = renderSchema(schema);
+    if (properties) content += '### Properties\n\n' + properties + '\n';
+    if (schema.enum) content += constraints({ enum: schema.enum }) + '\n\n';
+    content += renderExample(exampleFor(schema));
+    pages.push(makePage(source, `Schema: ${name}`, content));
+  }
+
+  const servers = serverUrls(spec, source).filter((s) => /^https?:\/\//.test(s.url));
+
   return {
     pageCount: pages.length,
     pages,
     scrapedAt: new Date().toISOString(),
     baseUrl: source,
     source: 'openapi',
+    api: {
+      type: 'openapi',
+      title: baseTitle,
+      baseUrl: servers[0]?.url || '',
+      auth: describeAuth(spec, resolve),
+      operations: extractOperations(spec, resolve),
+    },
   };
 }
@@ -0,0 +1,86 @@
+/**
+ * PDF loader
+ * Extracts text from a PDF manual (local file or URL), one page of context
+ * per PDF page so answers can cite page numbers
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import axios from 'axios';
+import { extractText, getDocumentProxy, getMeta } from 'unpdf';
+
+function authHeaders({ authHeader, cookies } = {}) {
+  const headers = {};
+  if (authHeader) headers['Authorization'] = authHeader.replace(/^Authorization:\s*/i, '').trim();
+  if (cookies) headers['Cookie'] = cookies;
+  return headers;
+}
+
+async function readPdf(location, options) {
+  if (/^https?:\/\//.test(location)) {
+    const response = await axios.get(location, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      headers: authHeaders(options),
+    });
+    return new Uint8Array(response.data);
+  }
+  if (!(await fs.pathExists(location))) {
+    throw new Error(`PDF not found: ${location}`);
+  }
+  return new Uint8Array(await fs.readFile(location));
+}
+
+/**
+ * Undo the line layout of extracted text: rejoin words hyphenated across
+ * lines and squeeze runs of blank lines.
+ */
+function cleanPageText(text) {
+  return text
+    .replace(/\r/g, '')
+    .replace(/(\w)-\n(\w)/g, '$1$2')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export async function loadPdf(location, options = {}) {
+  const isRemote = /^https?:\/\//.test(location);
+  const resolved = isRemote ? location : path.resolve(location);
+  const pdf = await getDocumentProxy(await readPdf(resolved, options));
+
+  const { info } = await getMeta(pdf).catch(() => ({ info: {} }));
+  const name = path.basename(isRemote ? new URL(resolved).pathname : resolved, '.pdf');
+  const docTitle = String(info?.Title || '').trim() || name;
+  const { totalPages, text } = await extractText(pdf, { mergePages: false });
+  const baseUrl = isRemote ? resolved : `file://${resolved}`;
+
+  const pages = [];
+  text.forEach((pageText, i) => {
+    const body = cleanPageText(pageText);
+    // Scanned pages have no text layer
+    if (!body) return;
+    const content = `# ${docTitle} (page ${i + 1})\n\n${body}`;
+    pages.push({
+      url: `${baseUrl}#page=${i + 1}`,
+      title: `${docTitle} — page ${i + 1}`,
+      content,
+      wordCount: content.split(/\s+/).length,
+      scrapedAt: new Date().toISOString(),
+      source: 'pdf',
+      pdfPage: i + 1,
+    });
+  });
+
+  if (pages.length === 0 && totalPages > 0) {
+    throw new Error(`No extractable text in ${resolved} (scanned PDF?)`);
+  }
+
+  return {
+    pageCount: pages.length,
+    pages,
+    scrapedAt: new Date().toISOString(),
+    baseUrl,
+    source: 'pdf',
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * Source manifest (super-mcp.json)
+ *
+ * Records every source a server was built from (type, location, options,
+ * last load) so refresh can replay them, and how the server is served
+ * (server.transport, server.port). Secrets are never stored; only the
+ * auth mode, the names of env vars holding secrets and the credentials file
+ * path are recorded.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { DocumentationScraper, contentHash } from './scraper.js';
+import { envSecret } from './credentials.js';
+import { CrawlCheckpoint } from './crawl-checkpoint.js';
+import { loadOpenAPI } from './loaders/openapi.js';
+import { loadGraphQL } from './loaders/graphql.js';
+import { loadCodebase } from './loaders/codebase.js';
+import { loadDocsDir } from './loaders/docs-dir.js';
+import { loadPdf } from './loaders/pdf.js';
+import { loadHtmlArchive } from './loaders/html-archive.js';
+
+export const MANIFEST_FILE = 'super-mcp.json';
+export const MANIFEST_VERSION = 1;
+
+export const SOURCE_TYPES = ['url', 'openapi', 'graphql', 'codebase', 'docs-dir', 'pdf', 'html-archive'];
+
+function isRemote(location) {
+  return /^https?:\/\//.test(location);
+}
+
+/**
+ * Build a manifest entry. Local paths are stored absolute so refresh works
+ * from any working directory.
+ */
+export function createSourceEntry(type, location, options = {}) {
+  if (!SOURCE_TYPES.includes(type)) {
+    throw new Error(`Unknown source type: ${type}`);
+  }
+  const resolved = isRemote(location) ? location : path.resolve(location);
+  const entryOptions = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null) entryOptions[key] = value;
+  }
+  return {
+    id: `${type}:${resolved}`,
+    type,
+    location: resolved,
+    options: entryOptions,
+    lastLoadedAt: null,
+    pageCount: 0,
+  };
+}
+
+export function isWebPage(page) {
+  return (!page.source || page.source === 'docs') && isRemote(page.url);
+}
+
+export function authMode({ authHeader, cookies } = {}) {
+  if (authHeader && cookies) return 'header+cookies';
+  if (authHeader) return 'header';
+  if (cookies) return 'cookies';
+  return 'none';
+}
+
+/**
+ * Auth options for sources from create/add-sources flags. Secrets passed as
+ * --auth-header-env / --cookies-env are recorded by variable name so
+ * refresh can read them again.
+ */
+export function authEntryOptions(options = {}) {
+  return {
+    auth: authMode({
+      authHeader: options.authHeader || options.authHeaderEnv,
+      cookies: options.cookies || options.cookiesEnv,
+    }),
+    authHeaderEnv: options.authHeaderEnv,
+    cookiesEnv: options.cookiesEnv,
+  };
+}
+
+/**
+ * Static auth for loading an entry: flags given on this run win over the
+ * env vars recorded in the entry
+ */
+function sourceAuth(entry, runtime) {
+  return {
+    authHeader: runtime.authHeader || envSecret(entry.options.authHeaderEnv),
+    cookies: runtime.cookies || envSecret(entry.options.cookiesEnv),
+  };
+}
+
+/**
+ * Crawl options for URL sources from create/add-sources flags: politeness
+ * (user agent, rate limit, retries, robots.txt), what to crawl and keep
+ * (include/exclude globs, content/remove selectors) and headless rendering
+ * of client-rendered pages, and the per-host credentials file. Only flags
+ * that were given are recorded; refresh replays them.
+ */
+export function crawlEntryOptions(options = {}) {
+  const list = (v) => {
+    const values = v ? (Array.isArray(v) ? v : [v]) : [];
+    return values.length > 0 ? values : undefined;
+  };
+  return {
+    userAgent: options.userAgent,
+    rateLimit: options.rateLimit ? parseFloat(options.rateLimit) || undefined : undefined,
+    maxRetries: options.maxRetries !== undefined ? parseInt(options.maxRetries, 10) : undefined,
+    robots: options.robots === false ? false : undefined,
+    include: list(options.include),
+    exclude: list(options.exclude),
+    contentSelectors: list(options.contentSelector),
+    removeSelectors: list(options.removeSelector),
+    render: options.render && options.render !== 'never' ? options.render : undefined,
+    renderWaitFor: options.renderWaitFor,
+    credentials: options.credentials ? path.resolve(options.credentials) : undefined,
+  };
+}
+
+/**
+ * Manifest options for a GraphQL source from create/add-sources flags.
+ * --executable turns Query/Mutation root fields into callable tools;
+ * mutations stay hidden unless listed in --allow-mutations ("*" for all).
+ */
+export function graphqlEntryOptions(options = {}) {
+  const allow = String(options.allowMutations || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return {
+    ...authEntryOptions(options),
+    tools: options.executable || undefined,
+    endpoint: options.graphqlEndpoint,
+    depth: options.graphqlDepth ? parseInt(options.graphqlDepth, 10) : undefined,
+    allowMutations: allow.length > 0 ? allow : undefined,
+  };
+}
+
+/**
+ * Crawler for a URL source entry
+ */
+export function createScraper(entry, runtime = {}) {
+  return new DocumentationScraper({
+    maxPages: entry.options.maxPages || 200,
+    timeout: 5000,
+    concurrency: 5,
+    ...sourceAuth(entry, runtime),
+    credentialsFile: entry.options.credentials,
+    previousPages: runtime.previousPages,
+    onProgress: runtime.onProgress,
+    checkpoint: runtime.checkpointDir ? new CrawlCheckpoint(runtime.checkpointDir, entry.id) : null,
+    resume: runtime.resume,
+    userAgent: entry.options.userAgent,
+    rateLimit: entry.options.rateLimit,
+    maxRetries: entry.options.maxRetries,
+    robots: entry.options.robots,
+    include: entry.options.include,
+    exclude: entry.options.exclude,
+    contentSelectors: entry.options.contentSelectors,
+    removeSelectors: entry.options.removeSelectors,
+    render: entry.options.render,
+    renderWaitFor: entry.options.renderWaitFor,
+  });
+}
+
+/**
+ * Load one manifest entry and tag its pages with the entry id.
+ * `runtime` carries secrets (authHeader, cookies), refresh state
+ * (previousPages), the crawl progress callback (onProgress) and where to
+ * checkpoint crawls (checkpointDir, resume), none of which are persisted.
+ */
+export async function loadSource(entry, runtime = {}) {
+  let data;
+  let scraper = null;
+
+  switch (entry.type) {
+    case 'url':
+      scraper = createScraper(entry, runtime);
+      data = await scraper.scrape(entry.location);
+      break;
+    case 'openapi':
+      data = await loadOpenAPI(entry.location);
+      break;
+    case 'graphql':
+      data = await loadGraphQL(entry.location, {
+        ...sourceAuth(entry, runtime),
+        endpoint: entry.options.endpoint,
+        depth: entry.options.depth,
+        allowMutations: entry.options.allowMutations,
+      });
+      break;
+    case 'codebase':
+      data = await loadCodebase(entry.location, { maxFiles: entry.options.maxFiles });
+      break;
+    case 'docs-dir':
+      data = await loadDocsDir(entry.location, {
+        baseUrl: entry.options.baseUrl,
+        maxFiles: entry.options.maxFiles,
+      });
+      break;
+    case 'pdf':
+      data = await loadPdf(entry.location, sourceAuth(entry, runtime));
+      break;
+    case 'html-archive':
+      data = await loadHtmlArchive(entry.location, { baseUrl: entry.options.baseUrl });
+      break;
+    default:
+      throw new Error(`Unknown source type: ${entry.type}`);
+  }
+
+  if (data.api) data.api.sourceId = entry.id;
+  for (const page of data.pages || []) {
+    page.sourceId = entry.id;
+    page.hash ||= contentHash(page.content);
+  }
+  entry.lastLoadedAt = new Date().toISOString();
+  entry.pageCount = data.pages?.length || 0;
+
+  return { data, scraper };
+}
+
+export function createManifest(name, language) {
+  const now = new Date().toISOString();
+  return {
+    version: MANIFEST_VERSION,
+    name,
+    language,
+    createdAt: now,
+    updatedAt: now,
+    sources: [],
+  };
+}
+
+export function upsertSource(manifest, entry) {
+  const idx = manifest.sources.findIndex((s) => s.id === entry.id);
+  if (idx >= 0) manifest.sources[idx] = entry;
+  else manifest.sources.push(entry);
+  return manifest;
+}
+
+/**
+ * Manifest for projects generated before super-mcp.json existed. Only the
+ * docs base URL is known, so untagged web pages are attributed to it and
+ * other pages stay untracked (kept as-is by refresh).
+ */
+export function legacyManifest(docsData, pages, name) {
+  const manifest = createManifest(name, null);
+  const web = pages.filter((p) => isWebPage(p) && !p.sourceId);
+  const baseUrl = isRemote(docsData.baseUrl || '') ? docsData.baseUrl : web[0]?.url;
+
+  if (baseUrl) {
+    const entry = createSourceEntry('url', baseUrl, { maxPages: Math.max(200, web.length) });
+    entry.lastLoadedAt = docsData.scrapedAt || null;
+    entry.pageCount = web.length;
+    for (const page of web) page.sourceId = entry.id;
+    upsertSource(manifest, entry);
+  }
+
+  return manifest;
+}
+
+export async function readManifest(dir) {
+  return fs.readJson(path.join(dir, MANIFEST_FILE)).catch(() => null);
+}
+
+/**
+ * The project's manifest, or a legacy one derived from its context.
+ */
+export async function manifestFor(dir, context) {
+  const name = path.basename(path.resolve(dir)).replace(/-mcp$/, '');
+  return (await readManifest(dir)) || legacyManifest(context.docsData, context.pages, name);
+}
+
+/**
+ * Find a manifest entry by id or location (local paths compared resolved).
+ */
+export function findSource(manifest, ref) {
+  const resolved = isRemote(ref) ? ref : path.resolve(ref);
+  return manifest.sources.find(
+    (s) => s.id === ref || s.location === ref || s.location === resolved
+  );
+}
+
+export async function writeManifest(dir, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  await fs.writeJson(path.join(dir, MANIFEST_FILE), manifest, { spaces: 2 });
+}
@@ -0,0 +1,96 @@
+/**
+ * Headless browser rendering for client-rendered (SPA) docs sites
+ *
+ * Uses Playwright's Chromium when installed (optional dependency):
+ *   npm i playwright && npx playwright install chromium
+ */
+
+import * as cheerio from 'cheerio';
+
+// Visible text below which a page that ships scripts is treated as an app shell
+const MIN_STATIC_TEXT = 200;
+
+const APP_ROOTS = '#root, #app, #__next, #___gatsby, #svelte, [data-reactroot], [ng-version], app-root';
+
+/**
+ * Whether server HTML looks like an empty client-side app shell
+ */
+export function looksClientRendered(html) {
+  const $ = cheerio.load(html || '');
+  const hasScripts = $('script').length > 0;
+  const hasAppRoot = $(APP_ROOTS).length > 0;
+  $('script, style, noscript, template').remove();
+  const text = $('body').text().replace(/\s+/g, ' ').trim();
+  return hasScripts && (text.length < MIN_STATIC_TEXT || (hasAppRoot && text.length < MIN_STATIC_TEXT * 2));
+}
+
+export class BrowserRenderer {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 15000;
+    this.waitFor = options.waitFor; // CSS selector that signals content is ready
+    this.userAgent = options.userAgent;
+    this.browser = null;
+    this.launching = null;
+  }
+
+  // Concurrent renders share one browser
+  launch() {
+    this.launching ||= this.start();
+    return this.launching;
+  }
+
+  async start() {
+    let playwright;
+    try {
+      playwright = await import('playwright');
+    } catch {
+      throw new Error(
+        'Rendering needs Playwright: npm i playwright && npx playwright install chromium'
+      );
+    }
+    this.browser = await playwright.chromium.launch({ headless: true });
+    return this.browser.newContext({ userAgent: this.userAgent });
+  }
+
+  /**
+   * Load `url`, wait for the app to put content in the DOM, and return the
+   * rendered HTML. `headers` (e.g. the host's credentials) are only sent on
+   * requests to the same host as `url`, never to CDNs or analytics.
+   */
+  async render(url, headers = {}) {
+    const context = await this.launch();
+    const page = await context.newPage();
+    try {
+      if (Object.keys(headers).length) {
+        const host = new URL(url).host;
+        await page.route('**/*', (route, request) => {
+          if (new URL(request.url()).host !== host) return route.continue();
+          return route.continue({ headers: { ...request.headers(), ...headers } });
+        });
+      }
+      await page.goto(url, { waitUntil: 'networkidle', timeout: this.timeout });
+      if (this.waitFor) {
+        await page.waitForSelector(this.waitFor, { timeout: this.timeout });
+      } else {
+        await page
+          .waitForFunction(
+            (min) => (document.body?.innerText || '').trim().length >= min,
+            MIN_STATIC_TEXT,
+            { timeout: this.timeout }
+          )
+          .catch(() => {
+            // Short pages are fine; take whatever rendered
+          });
+      }
+      return await page.content();
+    } finally {
+      await page.close();
+    }
+  }
+
+  async close() {
+    await this.browser?.close();
+    this.browser = null;
+    this.launching = null;
+  }
+}
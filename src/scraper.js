@@ -2,121 +2,474 @@
  * Documentation Scraper
  * 
  * Intelligently scrapes and processes documentation into LLM-ready context.
- * Supports sitemap parsing and recursive crawling.
+ * Supports sitemap parsing and recursive crawling. Crawls politely: honors
+ * robots.txt (rules, Crawl-delay, Sitemap), rate limits per host and retries
+ * 429/5xx with backoff. Client-rendered pages can be rendered in a headless
+ * browser (render: 'auto' | 'always'). With a checkpoint, progress is saved
+ * after every batch and an interrupted crawl can resume (resume: true).
  */
 
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 import TurndownService from 'turndown';
+import robotsParser from 'robots-parser';
+import picomatch from 'picomatch';
+import { createHash } from 'crypto';
+import { gunzipSync } from 'zlib';
+import { BrowserRenderer, looksClientRendered } from './renderer.js';
+import { CrawlReport, failureReason } from './crawl-report.js';
+import { CredentialStore } from './credentials.js';
+
+export const DEFAULT_USER_AGENT = 'Super-MCP-Bot/1.0';
+
+// Upper bound for a single Retry-After / backoff wait
+const MAX_RETRY_WAIT_MS = 60000;
+
+// Sitemap index recursion limits
+const MAX_SITEMAP_DEPTH = 3;
+const MAX_SITEMAPS = 50;
+
+const RETRY_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN']);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (delta-seconds or HTTP date)
+ */
+function retryAfterMs(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function contentHash(content) {
+  return createHash('sha256').update(content || '').digest('hex');
+}
+
+const CONTENT_SELECTORS = [
+  'main',
+  'article',
+  '[role="main"]',
+  '.content',
+  '.documentation',
+  '.docs-content',
+  '#content',
+  'body',
+];
+
+const REMOVE_SELECTORS = 'nav, footer, header, script, style, .ad, .advertisement, .sidebar, .menu, aside';
+
+// Skipped unless an --include glob matches
+const DEFAULT_EXCLUDES = [
+  '/blog/',
+  '/changelog/',
+  '.pdf',
+  '.zip',
+  '.tar.gz',
+  '/downloads/',
+  '/login',
+  '/signup',
+  '/api-reference/',
+];
+
+/**
+ * Compile URL globs. Globs containing "://" match the full URL (without
+ * query/hash), others match the path.
+ */
+function urlMatcher(globs = []) {
+  if (globs.length === 0) return null;
+  const matchers = globs.map((glob) => ({ full: glob.includes('://'), test: picomatch(glob, { dot: true }) }));
+  return (url) => {
+    const { origin, pathname } = new URL(url);
+    return matchers.some((m) => m.test(m.full ? origin + pathname : pathname));
+  };
+}
+
+/**
+ * Strip page chrome from an HTML document and convert its main content to
+ * markdown. Shared by the crawler and offline HTML archives. Returns the
+ * cheerio handle so callers can still walk the (cleaned) links.
+ * `contentSelectors` are tried before the defaults; `removeSelectors` are
+ * removed in addition to the default chrome.
+ */
+export function htmlToMarkdown(html, fallbackTitle = '', options = {}) {
+  const $ = cheerio.load(html);
+
+  // Remove unwanted elements
+  $(REMOVE_SELECTORS).remove();
+  for (const selector of options.removeSelectors || []) $(selector).remove();
+
+  let content = null;
+  for (const selector of options.contentSelectors || []) {
+    const el = $(selector).first();
+    if (el.length > 0 && el.text().trim()) {
+      content = el;
+      break;
+    }
+  }
+  for (const selector of content ? [] : CONTENT_SELECTORS) {
+    const el = $(selector).first();
+    if (el.length > 0 && el.text().trim().length > 100) {
+      content = el;
+      break;
+    }
+  }
+
+  const turndownService = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+  });
+
+  const markdown = turndownService.turndown((content ? content.html() : $.html()) || '');
+  const title = ($('h1').first().text() || $('title').text() || fallbackTitle).trim();
+
+  return { $, title, markdown };
+}
 
 export class DocumentationScraper {
   constructor(options = {}) {
     this.maxPages = options.maxPages || 200;
     this.timeout = options.timeout || 5000;
     this.concurrency = options.concurrency || 5;
+    // Static auth applies to the start URL's host; credentialsFile configures
+    // other hosts, logins and OAuth (see credentials.js)
     this.authHeader = options.authHeader;
     this.cookies = options.cookies;
+    this.credentialsFile = options.credentialsFile;
+    this.credentials = null;
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    this.respectRobots = options.robots !== false;
+    // Requests per second per host; robots.txt Crawl-delay can only slow it down
+    this.rateLimit = options.rateLimit || 2;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryBaseMs = options.retryBaseMs || 1000;
+    this.robots = new Map(); // host -> parsed robots.txt (null when absent)
+    this.nextRequestAt = new Map(); // host -> earliest time of the next request
+    this.lastmod = new Map(); // url -> sitemap <lastmod>
+    this.include = urlMatcher(options.include);
+    this.exclude = urlMatcher(options.exclude);
+    this.contentSelectors = options.contentSelectors || [];
+    this.removeSelectors = options.removeSelectors || [];
+    this.report = new CrawlReport({ onProgress: options.onProgress });
+    this.render = options.render || 'never';
+    this.renderer = this.render === 'never' ? null : options.renderer || new BrowserRenderer({
+      waitFor: options.renderWaitFor,
+      userAgent: this.userAgent,
+    });
+    // url -> page from a previous crawl; enables conditional requests on refresh
+    this.previousPages = new Map(
+      (options.previousPages || []).map((p) => [p.url, p])
+    );
+    this.checkpoint = options.checkpoint || null; // CrawlCheckpoint
+    this.resume = !!options.resume;
     this.visited = new Set();
+    this.notFound = new Set();
     this.queue = [];
+    this.overflow = []; // sitemap URLs beyond maxPages
     this.pages = [];
   }
 
-  getHeaders() {
-    const headers = { 'User-Agent': 'Super-MCP-Bot/1.0' };
-    if (this.authHeader) {
-      const val = this.authHeader.replace(/^Authorization:\s*/i, '').trim();
-      headers['Authorization'] = val;
-    }
-    if (this.cookies) headers['Cookie'] = this.cookies;
-    return headers;
+  async getHeaders(url) {
+    return { 'User-Agent': this.userAgent, ...(await this.credentials?.headersFor(url)) };
   }
 
-  async scrape(startUrl) {
+  /**
+   * Reset crawl state and set up credentials for a crawl from `startUrl`.
+   * Logs in up front so a bad login fails the source, not every page.
+   */
+  async begin(startUrl) {
     this.visited.clear();
+    this.notFound.clear();
     this.queue = [];
+    this.overflow = [];
     this.pages = [];
+    this.report.start(startUrl);
+
+    this.credentials = new CredentialStore({
+      file: this.credentialsFile,
+      host: new URL(startUrl).host,
+      authHeader: this.authHeader,
+      cookies: this.cookies,
+      userAgent: this.userAgent,
+    });
+    await this.credentials.headersFor(startUrl);
+    await this.loadRobots(startUrl);
+  }
 
-    // Strategy 1: Try sitemap first
-    const sitemapPages = await this.tryFetchSitemap(startUrl);
+  /**
+   * Fetch and cache robots.txt for the URL's host. A missing or unreadable
+   * robots.txt allows everything.
+   */
+  async loadRobots(url) {
+    const { host, origin } = new URL(url);
+    if (!this.respectRobots || this.robots.has(host)) return this.robots.get(host);
 
-    if (sitemapPages.length > 0) {
-      return await this.scrapeFromSitemap(sitemapPages);
+    const robotsUrl = `${origin}/robots.txt`;
+    let robots = null;
+    try {
+      const response = await this.request(robotsUrl, { timeout: 3000, responseType: 'text' });
+      robots = robotsParser(robotsUrl, String(response.data || ''));
+    } catch {
+      // No robots.txt
     }
+    this.robots.set(host, robots);
+    return robots;
+  }
 
-    // Strategy 2: Recursive crawl
-    return await this.recursiveCrawl(startUrl);
+  isAllowed(url) {
+    if (!this.respectRobots) return true;
+    try {
+      const robots = this.robots.get(new URL(url).host);
+      return !robots || robots.isAllowed(url, this.userAgent) !== false;
+    } catch {
+      return false;
+    }
   }
 
-  async tryFetchSitemap(baseUrl) {
-    const parsed = new URL(baseUrl);
-    const sitemapUrls = [
-      `${baseUrl}/sitemap.xml`,
-      `${baseUrl}/sitemap_index.xml`,
-      `${baseUrl}/sitemap.xml`,
-      `${parsed.origin}/sitemap.xml`,
-      `${parsed.origin}/sitemap_index.xml`,
-    ];
+  /**
+   * Minimum spacing between requests to a host: the configured rate limit,
+   * or robots.txt Crawl-delay when that is slower.
+   */
+  hostInterval(host) {
+    const crawlDelay = this.robots.get(host)?.getCrawlDelay(this.userAgent) || 0;
+    return Math.max(1000 / this.rateLimit, crawlDelay * 1000);
+  }
 
-    for (const sitemapUrl of sitemapUrls) {
+  async throttle(url) {
+    const { host } = new URL(url);
+    const now = Date.now();
+    const next = Math.max(now, this.nextRequestAt.get(host) || 0);
+    this.nextRequestAt.set(host, next + this.hostInterval(host));
+    if (next > now) await sleep(next - now);
+  }
+
+  /**
+   * Rate-limited GET that retries 429, 5xx and transient network errors
+   * with exponential backoff, honoring Retry-After. A 401/403 on a host with
+   * a login/OAuth session renews the session and retries once.
+   */
+  async request(url, config = {}) {
+    let renewed = false;
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle(url);
       try {
-        const response = await axios.get(sitemapUrl, {
-          timeout: 3000,
-          headers: this.getHeaders(),
-        });
-        const $ = cheerio.load(response.data, { xmlMode: true });
+        const headers = { ...(await this.getHeaders(url)), ...config.headers };
+        return await axios.get(url, { ...config, headers });
+      } catch (error) {
+        const status = error.response?.status;
+        if ((status === 401 || status === 403) && !renewed && this.credentials?.invalidate(url)) {
+          renewed = true;
+          attempt--;
+          continue;
+        }
+        const retryable = status === 429 || status >= 500 || (!error.response && RETRY_NETWORK_CODES.has(error.code));
+        if (!retryable || attempt >= this.maxRetries) throw error;
+
+        const backoff = this.retryBaseMs * 2 ** attempt * (1 + Math.random() * 0.25);
+        const wait = Math.min(retryAfterMs(error.response?.headers?.['retry-after']) ?? backoff, MAX_RETRY_WAIT_MS);
+        // Later requests to this host wait out the backoff too
+        const { host } = new URL(url);
+        this.nextRequestAt.set(host, Math.max(this.nextRequestAt.get(host) || 0, Date.now() + wait));
+      }
+    }
+  }
 
-        const urls = [];
-        $('url > loc').each((i, elem) => {
-          const url = $(elem).text().trim();
-          if (url) urls.push(url);
-        });
+  async scrape(startUrl) {
+    await this.begin(startUrl);
+    const saved = await this.restoreCheckpoint();
+    if (saved?.complete) {
+      this.report.finish();
+      return this.result(startUrl);
+    }
+    // Fail fast when rendering was requested but no browser is available
+    await this.renderer?.launch();
 
-        // Also check sitemap index
-        $('sitemap > loc').each((i, elem) => {
-          const url = $(elem).text().trim();
-          if (url) urls.push(url);
-        });
+    try {
+      let data;
+      if (saved) {
+        data = await this.drain(startUrl);
+      } else {
+        // Strategy 1: Try sitemap first
+        const sitemapPages = await this.tryFetchSitemap(startUrl);
+
+        if (sitemapPages.length > 0) {
+          this.report.strategy = 'sitemap';
+          data = await this.scrapeFromSitemap(sitemapPages, startUrl);
+        } else {
+          // Strategy 2: Recursive crawl
+          this.report.strategy = 'crawl';
+          data = await this.recursiveCrawl(startUrl);
+        }
+      }
+      // Kept until the command finishes, so resuming skips finished sources
+      await this.saveCheckpoint({ complete: true });
+      return data;
+    } finally {
+      this.report.finish();
+      await this.renderer?.close();
+    }
+  }
+
+  /**
+   * Pick up a checkpointed crawl when resuming; otherwise discard any stale
+   * checkpoint. Returns the saved state, or null when starting fresh.
+   */
+  async restoreCheckpoint() {
+    if (!this.checkpoint) return null;
+    if (!this.resume) {
+      await this.checkpoint.clear();
+      return null;
+    }
+
+    const saved = await this.checkpoint.load();
+    if (!saved) return null;
+    this.pages = saved.pages;
+    this.queue = saved.queue;
+    this.overflow = saved.overflow;
+    this.visited = new Set(saved.visited);
+    this.notFound = new Set(saved.notFound);
+    this.lastmod = new Map(saved.lastmod);
+    this.report.resume(saved.report, saved.pages);
+    return saved;
+  }
+
+  async saveCheckpoint(extra = {}) {
+    if (!this.checkpoint) return;
+    await this.checkpoint.save(
+      {
+        queue: this.queue,
+        overflow: this.overflow,
+        visited: [...this.visited],
+        notFound: [...this.notFound],
+        lastmod: [...this.lastmod],
+        report: this.report.toJSON(),
+        ...extra,
+      },
+      this.pages
+    );
+  }
+
+  /**
+   * Fetch a sitemap (plain or gzipped) and return its page entries, following
+   * <sitemapindex> children recursively.
+   */
+  async readSitemap(sitemapUrl, seen, depth = 0) {
+    if (seen.has(sitemapUrl) || seen.size >= MAX_SITEMAPS || depth > MAX_SITEMAP_DEPTH) return [];
+    seen.add(sitemapUrl);
+
+    let xml;
+    try {
+      const response = await this.request(sitemapUrl, { timeout: 5000, responseType: 'arraybuffer' });
+      let body = Buffer.from(response.data);
+      // .xml.gz files are served as application/gzip, not Content-Encoding
+      if (body[0] === 0x1f && body[1] === 0x8b) body = gunzipSync(body);
+      xml = body.toString('utf-8');
+    } catch {
+      return [];
+    }
+
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const entries = [];
+    $('url').each((i, elem) => {
+      const url = $(elem).children('loc').text().trim();
+      if (url) entries.push({ url, lastmod: $(elem).children('lastmod').text().trim() || null });
+    });
+
+    const children = $('sitemap > loc').map((i, elem) => $(elem).text().trim()).get().filter(Boolean);
+    for (const child of children) {
+      entries.push(...(await this.readSitemap(child, seen, depth + 1)));
+    }
+    return entries;
+  }
+
+  /**
+   * Page URLs from the site's sitemaps, restricted to the start URL's path
+   * prefix and ordered most recently modified first. Sitemaps declared in
+   * robots.txt are all read; otherwise the first conventional location that
+   * yields pages wins.
+   */
+  async tryFetchSitemap(startUrl) {
+    const parsed = new URL(startUrl);
+    const base = startUrl.endsWith('/') ? startUrl : `${startUrl}/`;
+    const declared = this.robots.get(parsed.host)?.getSitemaps() || [];
+    const conventional = [
+      new URL('sitemap.xml', base).href,
+      new URL('sitemap_index.xml', base).href,
+      `${parsed.origin}/sitemap.xml`,
+      `${parsed.origin}/sitemap_index.xml`,
+      `${parsed.origin}/sitemap.xml.gz`,
+    ];
 
-        if (urls.length > 0) return urls;
+    const seen = new Set();
+    let entries = [];
+    for (const sitemapUrl of declared) {
+      entries.push(...(await this.readSitemap(sitemapUrl, seen)));
+    }
+    for (const sitemapUrl of conventional) {
+      if (entries.length > 0) break;
+      entries = await this.readSitemap(sitemapUrl, seen);
+    }
+
+    const prefix = this.pathPrefix(startUrl);
+    const byUrl = new Map();
+    for (const entry of entries) {
+      let url;
+      try {
+        url = new URL(entry.url);
       } catch {
         continue;
       }
+      if (url.origin !== parsed.origin) continue;
+      if (url.pathname !== prefix && !url.pathname.startsWith(prefix.replace(/\/?$/, '/'))) continue;
+      const key = url.href.split('#')[0];
+      if (!byUrl.has(key) || (entry.lastmod || '') > (byUrl.get(key) || '')) byUrl.set(key, entry.lastmod);
     }
 
-    return [];
+    this.lastmod = new Map([...byUrl].filter(([, lastmod]) => lastmod));
+    const time = (lastmod) => (lastmod ? Date.parse(lastmod) || 0 : 0);
+    return [...byUrl.keys()].sort((a, b) => time(byUrl.get(b)) - time(byUrl.get(a)));
   }
 
-  async scrapeFromSitemap(sitemapUrls) {
-    const baseUrl = sitemapUrls[0] ? new URL(sitemapUrls[0]).origin : '';
-    const basePath = sitemapUrls[0] ? this.getBasePath(sitemapUrls[0]) : '';
+  async scrapeFromSitemap(sitemapUrls, startUrl) {
+    const baseUrl = new URL(startUrl).origin;
+    const basePath = this.getBasePath(startUrl);
 
     // Filter to docs-related URLs
     const docUrls = sitemapUrls.filter((url) =>
       this.shouldFollow(url, baseUrl, basePath)
     );
 
-    const toScrape = docUrls.slice(0, this.maxPages);
-    this.queue = toScrape;
+    this.queue = docUrls.slice(0, this.maxPages);
+    this.overflow = docUrls.slice(this.maxPages);
+    return this.drain(startUrl);
+  }
 
-    while (this.queue.length > 0 && this.pages.length < this.maxPages) {
-      const batch = this.queue.splice(0, this.concurrency);
-      await Promise.all(
-        batch.map((url) => this.scrapePage(url, baseUrl, basePath))
-      );
+  async recursiveCrawl(startUrl) {
+    this.queue.push(startUrl);
+    const baseUrl = new URL(startUrl).origin;
+    const basePath = this.getBasePath(startUrl);
+
+    // Pages answered with 304 yield no links, so seed every previously
+    // crawled page to keep them reachable on refresh
+    for (const url of this.previousPages.keys()) {
+      if (url !== startUrl && this.shouldFollow(url, baseUrl, basePath)) {
+        this.queue.push(url);
+      }
     }
 
-    return {
-      pageCount: this.pages.length,
-      pages: this.pages,
-      scrapedAt: new Date().toISOString(),
-      baseUrl: baseUrl || sitemapUrls[0],
-    };
+    return this.drain(startUrl);
   }
 
-  async recursiveCrawl(startUrl) {
-    this.queue.push(startUrl);
-    const parsed = new URL(startUrl);
-    const baseUrl = parsed.origin;
+  /**
+   * Scrape the queue in batches (checkpointing after each) until it is empty
+   * or the page limit is reached
+   */
+  async drain(startUrl) {
+    const baseUrl = new URL(startUrl).origin;
     const basePath = this.getBasePath(startUrl);
 
     while (this.queue.length > 0 && this.pages.length < this.maxPages) {
@@ -124,87 +477,177 @@ export class DocumentationScraper {
       await Promise.all(
         batch.map((url) => this.scrapePage(url, baseUrl, basePath))
       );
+      await this.saveCheckpoint();
     }
+    this.recordUnvisited([...this.queue, ...this.overflow]);
+
+    return this.result(startUrl);
+  }
 
+  result(startUrl) {
     return {
       pageCount: this.pages.length,
       pages: this.pages,
       scrapedAt: new Date().toISOString(),
-      baseUrl: startUrl,
+      baseUrl: this.report.strategy === 'sitemap' ? new URL(startUrl).origin : startUrl,
+      source: 'docs',
     };
   }
 
+  // URLs left over when the page limit was reached
+  recordUnvisited(urls) {
+    for (const url of urls) {
+      if (!this.visited.has(url)) this.report.record(url, 'skipped', { reason: 'limit' });
+    }
+  }
+
   async scrapePage(url, baseUrl, basePath) {
     if (this.visited.has(url)) return;
     this.visited.add(url);
+    if (!this.isAllowed(url)) {
+      this.report.record(url, 'skipped', { reason: 'robots' });
+      return;
+    }
+
+    const previous = this.previousPages.get(url);
+    const headers = {};
+    if (previous?.etag) headers['If-None-Match'] = previous.etag;
+    if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
 
     try {
-      const response = await axios.get(url, {
+      const response = await this.request(url, {
         timeout: this.timeout,
-        headers: this.getHeaders(),
+        headers,
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
       });
 
-      const $ = cheerio.load(response.data);
-
-      // Remove unwanted elements
-      $(
-        'nav, footer, header, script, style, .ad, .advertisement, .sidebar, .menu, aside'
-      ).remove();
-
-      const contentSelectors = [
-        'main',
-        'article',
-        '[role="main"]',
-        '.content',
-        '.documentation',
-        '.docs-content',
-        '#content',
-        'body',
-      ];
-
-      let content = null;
-      for (const selector of contentSelectors) {
-        const el = $(selector).first();
-        if (el.length > 0 && el.text().trim().length > 100) {
-          content = el;
-          break;
-        }
+      if (response.status === 304 && previous) {
+        this.pages.push({ ...previous, checkedAt: new Date().toISOString() });
+        this.report.findDuplicate(url, previous.hash || contentHash(previous.content), previous.content);
+        this.report.record(url, 'not-modified', { httpStatus: 304 });
+        return;
       }
 
-      const html = content ? content.html() : $.html();
-      const turndownService = new TurndownService({
-        headingStyle: 'atx',
-        codeBlockStyle: 'fenced',
-      });
+      const contentType = String(response.headers['content-type'] || '');
+      if (contentType && !/html/i.test(contentType)) {
+        this.report.record(url, 'skipped', { reason: 'non-html', httpStatus: response.status, contentType });
+        return;
+      }
 
-      const markdown = turndownService.turndown(html || '');
-      const title = $('h1').first().text() || $('title').text() || url;
+      const { html, rendered } = await this.renderIfNeeded(url, response.data);
+
+      const { $, title, markdown } = htmlToMarkdown(html, url, {
+        contentSelectors: this.contentSelectors,
+        removeSelectors: this.removeSelectors,
+      });
 
-      this.pages.push({
+      const page = {
         url,
-        title: title.trim(),
+        title,
         content: markdown,
         wordCount: markdown.split(/\s+/).length,
         scrapedAt: new Date().toISOString(),
-      });
+        source: 'docs',
+        lastmod: this.lastmod.get(url),
+        rendered: rendered || undefined,
+        hash: contentHash(markdown),
+        etag: response.headers['etag'],
+        lastModified: response.headers['last-modified'],
+      };
+
+      // Mirrors and alternate URLs of a page are kept once (links still followed)
+      const duplicateOf = this.report.findDuplicate(url, page.hash, markdown);
+      if (duplicateOf) {
+        this.report.record(url, 'duplicate', { httpStatus: response.status, duplicateOf });
+      } else {
+        this.pages.push(page);
+        this.report.record(url, 'ok', {
+          httpStatus: response.status,
+          words: page.wordCount,
+          rendered: page.rendered,
+        });
+      }
 
       // Find links to follow (recursive crawl only when no sitemap)
       if (this.pages.length < this.maxPages) {
-        $('a').each((i, elem) => {
-          const href = $(elem).attr('href');
-          if (!href) return;
-
-          const fullUrl = this.resolveUrl(href, baseUrl, basePath);
-          if (this.shouldFollow(fullUrl, baseUrl, basePath)) {
-            this.queue.push(fullUrl);
-          }
-        });
+        this.followLinks($, baseUrl, basePath);
       }
     } catch (error) {
-      // Silent fail for individual pages
+      // Individual page failures don't stop the crawl; the report says why,
+      // and pages that are gone are remembered for refresh
+      const status = error.response?.status;
+      this.report.record(url, 'failed', {
+        reason: failureReason(error),
+        httpStatus: status,
+        error: error.message,
+      });
+      if (status === 404 || status === 410) this.notFound.add(url);
     }
   }
 
+  /**
+   * Fetch a page only to find its links (dry-run plan); nothing is converted.
+   * HTML pages are added to `found`.
+   */
+  async discoverPage(url, baseUrl, basePath, found) {
+    if (this.visited.has(url)) return;
+    this.visited.add(url);
+    if (!this.isAllowed(url)) {
+      this.report.record(url, 'skipped', { reason: 'robots' });
+      return;
+    }
+
+    try {
+      const response = await this.request(url, { timeout: this.timeout });
+      const contentType = String(response.headers['content-type'] || '');
+      if (contentType && !/html/i.test(contentType)) {
+        this.report.record(url, 'skipped', { reason: 'non-html', httpStatus: response.status, contentType });
+        return;
+      }
+
+      found.push(url);
+      if (found.length < this.maxPages) {
+        const { html } = await this.renderIfNeeded(url, response.data);
+        this.followLinks(cheerio.load(html || ''), baseUrl, basePath);
+      }
+    } catch (error) {
+      this.report.record(url, 'failed', {
+        reason: failureReason(error),
+        httpStatus: error.response?.status,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Render a page in the browser when configured to ('auto': only app
+   * shells). Falls back to the server HTML when rendering fails.
+   */
+  async renderIfNeeded(url, html) {
+    if (!this.renderer || (this.render !== 'always' && !looksClientRendered(html))) {
+      return { html, rendered: false };
+    }
+    try {
+      return { html: await this.renderer.render(url, await this.credentials.headersFor(url)), rendered: true };
+    } catch {
+      // Keep the server HTML when the page does not render in time
+      return { html, rendered: false };
+    }
+  }
+
+  // Queue the page's same-site links that pass the crawl filters
+  followLinks($, baseUrl, basePath) {
+    $('a').each((i, elem) => {
+      const href = $(elem).attr('href');
+      if (!href) return;
+
+      const fullUrl = this.resolveUrl(href, baseUrl, basePath);
+      if (this.shouldFollow(fullUrl, baseUrl, basePath)) {
+        this.queue.push(fullUrl);
+      }
+    });
+  }
+
   resolveUrl(href, baseUrl, basePath) {
     try {
       if (href.startsWith('http')) {
@@ -223,23 +666,71 @@ export class DocumentationScraper {
     if (!url || !url.startsWith(baseUrl)) return false;
     if (this.visited.has(url)) return false;
 
-    const excludePatterns = [
-      '/blog/',
-      '/changelog/',
-      '.pdf',
-      '.zip',
-      '.tar.gz',
-      '/downloads/',
-      '/login',
-      '/signup',
-      '/api-reference/',
-    ];
+    const reason = this.skipReason(url);
+    if (reason) {
+      this.report.record(url, 'skipped', { reason });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Why a same-site URL is not crawled, or null. --include globs take
+   * precedence over the built-in excludes; --exclude globs always apply.
+   */
+  skipReason(url) {
+    if (!this.isAllowed(url)) return 'robots';
+    if (this.exclude?.(url)) return 'excluded';
+    if (this.include) return this.include(url) ? null : 'not-included';
+    return DEFAULT_EXCLUDES.some((pattern) => url.includes(pattern)) ? 'excluded' : null;
+  }
+
+  /**
+   * URLs a crawl would cover, without converting any content. Sitemap
+   * sites are planned from the sitemap alone; otherwise pages are fetched
+   * (and rendered when needed) only to discover their links.
+   */
+  async plan(startUrl) {
+    await this.begin(startUrl);
 
-    for (const pattern of excludePatterns) {
-      if (url.includes(pattern)) return false;
+    const skipped = () => new Map(
+      [...this.report.outcomes.values()].filter((o) => o.status === 'skipped').map((o) => [o.url, o.reason])
+    );
+
+    const sitemapPages = await this.tryFetchSitemap(startUrl);
+    if (sitemapPages.length > 0) {
+      const baseUrl = new URL(startUrl).origin;
+      const basePath = this.getBasePath(startUrl);
+      const urls = sitemapPages.filter((url) => this.shouldFollow(url, baseUrl, basePath));
+      this.recordUnvisited(urls.slice(this.maxPages));
+      return { strategy: 'sitemap', urls: urls.slice(0, this.maxPages), skipped: skipped() };
     }
 
-    return true;
+    await this.renderer?.launch();
+    try {
+      const baseUrl = new URL(startUrl).origin;
+      const basePath = this.getBasePath(startUrl);
+      const urls = [];
+      this.queue = [startUrl];
+      while (this.queue.length > 0 && urls.length < this.maxPages) {
+        const batch = this.queue.splice(0, this.concurrency);
+        await Promise.all(batch.map((url) => this.discoverPage(url, baseUrl, basePath, urls)));
+      }
+      this.recordUnvisited(this.queue);
+      return { strategy: 'crawl', urls: urls.slice(0, this.maxPages), skipped: skipped() };
+    } finally {
+      await this.renderer?.close();
+    }
+  }
+
+  /**
+   * Path a sitemap is restricted to: the start URL's path, minus a trailing
+   * file name (e.g. /docs/index.html -> /docs)
+   */
+  pathPrefix(url) {
+    const { pathname } = new URL(url);
+    const trimmed = /\/[^/]*\.[^/]*$/.test(pathname) ? pathname.replace(/\/[^/]*$/, '') : pathname;
+    return trimmed.replace(/\/$/, '') || '/';
   }
 
   getBasePath(url) {
@@ -0,0 +1,83 @@
+/**
+ * Search index builder
+ *
+ * Builds a BM25 inverted index over context chunks at generation time
+ * (context/index.json). The generated TS and Python servers share the same
+ * tokenizer, stemmer and stopwords to score queries against it.
+ */
+
+export const INDEX_VERSION = 1;
+
+export const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can',
+  'do', 'does', 'for', 'from', 'has', 'have', 'how', 'i', 'if', 'in', 'into',
+  'is', 'it', 'its', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'their',
+  'then', 'there', 'these', 'this', 'to', 'was', 'we', 'what', 'when',
+  'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+// Keeps symbols that matter in API docs: c++, c#, $ref, snake_case
+const TOKEN = /[a-z0-9_$]+(?:\+\+|#)?/g;
+
+/**
+ * Light suffix stemmer (plurals, -ing, -ed). Mirrored in the templates.
+ */
+export function stem(token) {
+  if (token.length <= 3 || !/^[a-z]+$/.test(token)) return token;
+  let t = token;
+  if (t.endsWith('ies') && t.length > 4) t = t.slice(0, -3) + 'y';
+  else if (t.endsWith('sses')) t = t.slice(0, -2);
+  else if (t.endsWith('s') && !/(ss|us|is)$/.test(t)) t = t.slice(0, -1);
+
+  if (t.endsWith('ing') && t.length > 5) t = t.slice(0, -3);
+  else if (t.endsWith('ed') && t.length > 4) t = t.slice(0, -2);
+  return t;
+}
+
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(TOKEN) || [])
+    .filter((t) => !STOPWORDS.has(t))
+    .map(stem);
+}
+
+function chunkTitle(chunk) {
+  return [chunk.title, ...(chunk.headings || [])].join(' ');
+}
+
+/**
+ * Inverted index: terms map to postings of [docIndex, bodyTf, titleTf].
+ * Doc order matches docsData.chunks.
+ */
+export function buildSearchIndex(chunks) {
+  const docs = [];
+  const terms = Object.create(null);
+  let totalLength = 0;
+
+  (chunks || []).forEach((chunk, docIndex) => {
+    const body = tokenize(chunk.content);
+    const title = tokenize(chunkTitle(chunk));
+    const counts = new Map();
+    const count = (term, field) => {
+      if (!counts.has(term)) counts.set(term, [0, 0]);
+      counts.get(term)[field]++;
+    };
+    body.forEach((t) => count(t, 0));
+    title.forEach((t) => count(t, 1));
+
+    for (const [term, [tf, titleTf]] of counts) {
+      (terms[term] ||= []).push([docIndex, tf, titleTf]);
+    }
+
+    const length = body.length + title.length;
+    totalLength += length;
+    docs.push({ id: chunk.id, length });
+  });
+
+  return {
+    version: INDEX_VERSION,
+    docCount: docs.length,
+    avgLength: docs.length ? totalLength / docs.length : 0,
+    docs,
+    terms,
+  };
+}
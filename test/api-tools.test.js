@@ -0,0 +1,245 @@
+/**
+ * Generated OpenAPI tools (templates/typescript/api-tools.ts.hbs) against a
+ * local HTTP server: path, query, header and body are sent where the spec
+ * says, and credentials from the environment are forwarded.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import fs from 'fs-extra';
+import ts from 'typescript';
+import { loadOpenAPI } from '../src/loaders/openapi.js';
+import { MCPGenerator } from '../src/generator.js';
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const fixture = path.join(root, 'test', 'fixtures', 'petstore.json');
+
+let tmpDir;
+let projectDir;
+let ApiToolRegistry;
+let server;
+let baseUrl;
+const requests = [];
+
+/**
+ * Transpile the generated TypeScript sources the registry needs into dist/
+ */
+async function compile(dir, files) {
+  for (const file of files) {
+    const source = await fs.readFile(path.join(dir, 'src', `${file}.ts`), 'utf-8');
+    const { outputText } = ts.transpileModule(source, {
+      compilerOptions: { module: ts.ModuleKind.ES2022, target: ts.ScriptTarget.ES2022 },
+    });
+    await fs.outputFile(path.join(dir, 'dist', `${file}.js`), outputText);
+  }
+  // Resolve axios from this repo's node_modules
+  await fs.symlink(path.join(root, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+  await fs.writeJson(path.join(dir, 'dist', 'package.json'), { type: 'module' });
+}
+
+async function registry(apis) {
+  const toolsPath = path.join(projectDir, 'context', 'api-tools.json');
+  if (apis) await fs.writeJson(toolsPath, { apis });
+  const tools = new ApiToolRegistry(toolsPath);
+  await tools.initialize();
+  return tools;
+}
+
+before(async () => {
+  process.env.LOG_LEVEL = 'error';
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'super-mcp-api-tools-'));
+
+  const data = await loadOpenAPI(fixture);
+  projectDir = await new MCPGenerator().generate({
+    serverName: 'petstore',
+    docsUrl: fixture,
+    docsData: data,
+    outputDir: tmpDir,
+    includeDocker: false,
+    apiTools: [data.api],
+  });
+  await compile(projectDir, ['logger', 'api-tools']);
+  ({ ApiToolRegistry } = await import(pathToFileURL(path.join(projectDir, 'dist', 'api-tools.js')).href));
+
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(req.url.startsWith('/v1/missing') ? 404 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.API_BASE_URL = baseUrl;
+});
+
+after(async () => {
+  await new Promise((resolve) => server?.close(resolve));
+  if (tmpDir) await fs.remove(tmpDir);
+  for (const name of Object.keys(process.env).filter((n) => /^(API|GRAPHQL)_/.test(n))) delete process.env[name];
+});
+
+test('lists one tool per operation with its input schema', async () => {
+  const tools = await registry();
+  const byName = Object.fromEntries(tools.getTools().map((t) => [t.name, t]));
+
+  assert.deepEqual(Object.keys(byName).sort(), ['createPet', 'getPet']);
+  assert.deepEqual(byName.getPet.inputSchema.required, ['petId']);
+  assert.deepEqual(byName.createPet.inputSchema.required, ['body']);
+  assert.equal(byName.createPet.inputSchema.properties.body.properties.name.type, 'string');
+});
+
+test('builds path, query and header parameters', async () => {
+  process.env.API_KEY = 'secret-key';
+  requests.length = 0;
+  const tools = await registry();
+
+  const result = await tools.call('getPet', { petId: 'a b/c', verbose: true, 'X-Request-Id': 'req-1' });
+
+  assert.equal(result.isError, false);
+  assert.match(result.content[0].text, /^HTTP 200/);
+  const [req] = requests;
+  assert.equal(req.method, 'GET');
+  assert.equal(req.url, '/v1/pets/a%20b%2Fc?verbose=true');
+  assert.equal(req.headers['x-request-id'], 'req-1');
+  assert.equal(req.headers['x-api-key'], 'secret-key');
+});
+
+test('sends the JSON body and leaves unset parameters out', async () => {
+  requests.length = 0;
+  const tools = await registry();
+
+  await tools.call('createPet', { body: { name: 'Rex', tag: 'dog' } });
+
+  const [req] = requests;
+  assert.equal(req.method, 'POST');
+  assert.equal(req.url, '/v1/pets');
+  assert.match(req.headers['content-type'], /application\/json/);
+  assert.deepEqual(JSON.parse(req.body), { name: 'Rex', tag: 'dog' });
+});
+
+test('forwards API_TOKEN as a bearer token', async () => {
+  process.env.API_TOKEN = 'token-123';
+  requests.length = 0;
+  const { api } = await loadOpenAPI(fixture);
+  const tools = await registry([{ ...api, auth: { type: 'bearer' } }]);
+
+  await tools.call('getPet', { petId: '1' });
+
+  assert.equal(requests[0].headers.authorization, 'Bearer token-123');
+  assert.equal(requests[0].headers['x-api-key'], undefined);
+});
+
+test('puts query API keys in the query string', async () => {
+  process.env.API_KEY = 'qk';
+  requests.length = 0;
+  const { api } = await loadOpenAPI(fixture);
+  const tools = await registry([{ ...api, auth: { type: 'apiKey', in: 'query', name: 'api_key' } }]);
+
+  await tools.call('getPet', { petId: '7' });
+
+  assert.equal(requests[0].url, '/v1/pets/7?api_key=qk');
+});
+
+test('reports HTTP errors as tool errors', async () => {
+  const { api } = await loadOpenAPI(fixture);
+  const operations = api.operations.map((op) => ({ ...op, path: op.path.replace('/pets', '/missing') }));
+  const tools = await registry([{ ...api, operations }]);
+
+  const result = await tools.call('getPet', { petId: '1' });
+
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /^HTTP 404/);
+});
+
+test('keeps tool names unique across APIs and clear of built-in tools', async () => {
+  const { api } = await loadOpenAPI(fixture);
+  const search = { ...api.operations[0], name: 'search_docs' };
+  await new MCPGenerator().writeApiTools(projectDir, [
+    { ...api, sourceId: 'openapi:/a.json' },
+    { ...api, sourceId: 'openapi:/b.json', operations: [...api.operations, search] },
+  ]);
+  process.env.API_BASE_URL_PETSTORE_2 = baseUrl;
+  requests.length = 0;
+  const tools = await registry();
+
+  const names = tools.getTools().map((t) => t.name);
+  assert.deepEqual(names.sort(), ['createPet', 'createPet_2', 'getPet', 'getPet_2', 'search_docs_2']);
+  await tools.call('getPet_2', { petId: '2' });
+  assert.equal(requests[0].url, '/v1/pets/2');
+});
+
+test('scopes base URL and credentials to each API', async () => {
+  const { api } = await loadOpenAPI(fixture);
+  await new MCPGenerator().writeApiTools(projectDir, [
+    { ...api, sourceId: 'openapi:/a.json' },
+    { ...api, sourceId: 'openapi:/b.json' },
+  ]);
+  process.env.API_KEY = 'shared-key';
+  process.env.API_BASE_URL_PETSTORE = baseUrl;
+  process.env.API_KEY_PETSTORE = 'key-a';
+  process.env.API_BASE_URL_PETSTORE_2 = baseUrl.replace('/v1', '/v2');
+  process.env.API_KEY_PETSTORE_2 = 'key-b';
+  requests.length = 0;
+  const tools = await registry();
+
+  await tools.call('getPet', { petId: '1' });
+  await tools.call('getPet_2', { petId: '2' });
+
+  assert.deepEqual(requests.map((r) => [r.url, r.headers['x-api-key']]), [
+    ['/v1/pets/1', 'key-a'],
+    ['/v2/pets/2', 'key-b'],
+  ]);
+});
+
+test('ignores unscoped settings when there are several APIs', async () => {
+  const { api } = await loadOpenAPI(fixture);
+  await new MCPGenerator().writeApiTools(projectDir, [
+    { ...api, sourceId: 'openapi:/a.json', baseUrl: '' },
+    { ...api, sourceId: 'openapi:/b.json', baseUrl: '' },
+  ]);
+  delete process.env.API_BASE_URL_PETSTORE;
+  const tools = await registry();
+
+  await assert.rejects(tools.call('getPet', { petId: '1' }), /Set API_BASE_URL_PETSTORE\./);
+});
+
+test('scopes GraphQL endpoint and auth header to each API', async () => {
+  const graphql = (file) => ({
+    type: 'graphql',
+    title: 'GraphQL API',
+    sourceId: `graphql:/schemas/${file}`,
+    baseUrl: '',
+    allowMutations: [],
+    operations: [{
+      name: 'query_viewer',
+      kind: 'query',
+      field: 'viewer',
+      document: 'query { viewer { id } }',
+      description: 'Current user',
+      inputSchema: { type: 'object', properties: {} },
+    }],
+  });
+  await new MCPGenerator().writeApiTools(projectDir, [graphql('github.graphql'), graphql('shop.graphql')]);
+  process.env.GRAPHQL_AUTH_HEADER = 'Bearer shared';
+  process.env.GRAPHQL_ENDPOINT_GITHUB = `${baseUrl}/github`;
+  process.env.GRAPHQL_AUTH_HEADER_GITHUB = 'Bearer gh';
+  process.env.GRAPHQL_ENDPOINT_SHOP = `${baseUrl}/shop`;
+  requests.length = 0;
+  const tools = await registry();
+
+  await tools.call('query_viewer', {});
+  await tools.call('query_viewer_2', {});
+
+  assert.deepEqual(requests.map((r) => [r.url, r.headers.authorization]), [
+    ['/v1/github', 'Bearer gh'],
+    ['/v1/shop', undefined],
+  ]);
+  assert.equal(JSON.parse(requests[0].body).query, 'query { viewer { id } }');
+});
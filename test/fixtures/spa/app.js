@@ -0,0 +1,13 @@
+// Client-rendered docs: the server only sends an empty #root
+document.getElementById('root').innerHTML = `
+  <main>
+    <h1>Widget Quickstart</h1>
+    <p>
+      Install the widget client, create a widget with a name and a size, then
+      call render() to draw it. Widgets are cached per name, so creating the
+      same widget twice returns the existing instance instead of a new one.
+      Use destroy() to release a widget and its event listeners.
+    </p>
+    <a href="/guide.html">Configuration guide</a>
+  </main>
+`;
@@ -0,0 +1,75 @@
+/**
+ * OpenAPI loader: $ref resolution edge cases
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import { loadOpenAPI } from '../src/loaders/openapi.js';
+
+async function load(spec) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'super-mcp-openapi-'));
+  try {
+    const file = path.join(dir, 'openapi.json');
+    await fs.writeJson(file, { openapi: '3.0.3', info: { title: 'Test', version: '1' }, ...spec });
+    return await loadOpenAPI(file);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+function postWithBody(ref) {
+  return {
+    post: {
+      operationId: 'create',
+      requestBody: { content: { 'application/json': { schema: { $ref: ref } } } },
+      responses: { 200: { description: 'ok' } },
+    },
+  };
+}
+
+test('resolves refs with a bare % and with %XX escapes', async () => {
+  const data = await load({
+    paths: { '/a': postWithBody('#/components/schemas/100%Off'), '/b': postWithBody('#/components/schemas/Caf%C3%A9') },
+    components: {
+      schemas: {
+        '100%Off': { type: 'object', properties: { pct: { type: 'number' } } },
+        'Café': { type: 'object', properties: { beans: { type: 'string' } } },
+      },
+    },
+  });
+
+  const [a, b] = data.api.operations;
+  assert.equal(a.inputSchema.properties.body.title, '100%Off');
+  assert.equal(a.inputSchema.properties.body.properties.pct.type, 'number');
+  assert.equal(b.inputSchema.properties.body.properties.beans.type, 'string');
+  assert.ok(data.pages.some((p) => p.title === 'Schema: 100%Off' && p.content.includes('**pct**')));
+});
+
+test('inlines a named schema once and refers to repeats by name', async () => {
+  const data = await load({
+    paths: { '/a': postWithBody('#/components/schemas/Node') },
+    components: {
+      schemas: {
+        Node: {
+          type: 'object',
+          properties: {
+            child: { $ref: '#/components/schemas/Node' },
+            left: { $ref: '#/components/schemas/Leaf' },
+            right: { $ref: '#/components/schemas/Leaf' },
+          },
+        },
+        Leaf: { type: 'object', properties: { value: { type: 'string' } } },
+      },
+    },
+  });
+
+  const { properties } = data.api.operations[0].inputSchema.properties.body;
+  assert.equal(properties.child['x-ref'], 'Node');
+  assert.equal(properties.child['x-circular'], true);
+  assert.equal(properties.left.properties.value.type, 'string');
+  assert.equal(properties.right['x-ref'], 'Leaf');
+  assert.match(properties.right.description, /See Schema: Leaf/);
+});
@@ -0,0 +1,140 @@
+/**
+ * Client-rendered docs (test/fixtures/spa): app shells are detected, rendered
+ * in a headless browser in `auto` mode, and fall back to the server HTML when
+ * rendering fails. The browser test is skipped without Playwright.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fs from 'fs-extra';
+import { DocumentationScraper } from '../src/scraper.js';
+import { BrowserRenderer, looksClientRendered } from '../src/renderer.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'spa');
+const TYPES = { '.html': 'text/html', '.js': 'text/javascript' };
+
+let server;
+let baseUrl;
+
+/**
+ * Whether Playwright and its Chromium build are installed
+ */
+async function hasBrowser() {
+  try {
+    const { chromium } = await import('playwright');
+    return fs.pathExists(chromium.executablePath());
+  } catch {
+    return false;
+  }
+}
+
+function scraper(options) {
+  return new DocumentationScraper({ rateLimit: 100, maxRetries: 0, ...options });
+}
+
+// Stands in for BrowserRenderer; `render` decides what the "browser" returns
+function fakeRenderer(render) {
+  const calls = [];
+  return {
+    calls,
+    launch: async () => {},
+    close: async () => {},
+    render: async (url, headers) => {
+      calls.push(url);
+      return render(url, headers);
+    },
+  };
+}
+
+// index.html as a browser would see it after app.js ran
+async function renderedIndex() {
+  const shell = await fs.readFile(path.join(fixtures, 'index.html'), 'utf-8');
+  const script = await fs.readFile(path.join(fixtures, 'app.js'), 'utf-8');
+  const app = script.match(/innerHTML = `([\s\S]*)`/)[1];
+  return shell.replace('<div id="root"></div>', `<div id="root">${app}</div>`);
+}
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    const file = path.join(fixtures, req.url === '/' ? 'index.html' : path.basename(req.url));
+    if (!(await fs.pathExists(file))) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'text/plain' });
+    res.end(await fs.readFile(file));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server?.close(resolve));
+});
+
+test('detects the app shell but not the server-rendered page', async () => {
+  assert.equal(looksClientRendered(await fs.readFile(path.join(fixtures, 'index.html'), 'utf-8')), true);
+  assert.equal(looksClientRendered(await fs.readFile(path.join(fixtures, 'guide.html'), 'utf-8')), false);
+});
+
+test('auto mode renders only client-rendered pages', async () => {
+  const html = await renderedIndex();
+  const renderer = fakeRenderer(() => html);
+
+  const data = await scraper({ render: 'auto', renderer }).scrape(`${baseUrl}/`);
+  const byUrl = Object.fromEntries(data.pages.map((p) => [new URL(p.url).pathname, p]));
+
+  assert.deepEqual(renderer.calls, [`${baseUrl}/`]);
+  assert.equal(byUrl['/'].rendered, true);
+  assert.match(byUrl['/'].content, /Widget Quickstart/);
+  // Reached through a link that only exists in the rendered page
+  assert.equal(byUrl['/guide.html'].rendered, undefined);
+  assert.match(byUrl['/guide.html'].content, /widget\.config\.json/);
+});
+
+test('auto mode keeps the server HTML when rendering fails', async () => {
+  const renderer = fakeRenderer(() => {
+    throw new Error('Timeout 15000ms exceeded');
+  });
+
+  const data = await scraper({ render: 'auto', renderer }).scrape(`${baseUrl}/`);
+
+  assert.equal(renderer.calls.length, 1);
+  assert.equal(data.pages.length, 1);
+  assert.equal(data.pages[0].rendered, undefined);
+  assert.equal(data.pages[0].title, 'Widget Docs');
+  assert.doesNotMatch(data.pages[0].content, /Widget Quickstart/);
+});
+
+test('plan discovers links in rendered pages without converting them', async () => {
+  const html = await renderedIndex();
+  const renderer = fakeRenderer(() => html);
+  const crawler = scraper({ render: 'auto', renderer });
+
+  const plan = await crawler.plan(`${baseUrl}/`);
+
+  assert.equal(plan.strategy, 'crawl');
+  assert.deepEqual(plan.urls, [`${baseUrl}/`, `${baseUrl}/guide.html`]);
+  assert.equal(crawler.pages.length, 0);
+});
+
+test('never mode does not render', async () => {
+  const data = await scraper({ render: 'never' }).scrape(`${baseUrl}/`);
+
+  assert.equal(data.pages.length, 1);
+  assert.equal(data.pages[0].rendered, undefined);
+});
+
+test('renders the SPA in a headless browser', { skip: !(await hasBrowser()) && 'Playwright not installed' }, async () => {
+  const renderer = new BrowserRenderer({ timeout: 10000 });
+
+  const data = await scraper({ render: 'auto', renderer }).scrape(`${baseUrl}/`);
+  const index = data.pages.find((p) => new URL(p.url).pathname === '/');
+
+  assert.equal(index.rendered, true);
+  assert.match(index.content, /Widget Quickstart/);
+  assert.ok(data.pages.some((p) => p.url.endsWith('/guide.html')));
+});